@@ -72,6 +72,22 @@ export class ControlPoint3 {
      */
     this.isSyncAngle = isSyncAngle;
 
+    /**
+     * The weight of the middle point used if the interpolation of the curve is "nurbs".
+     *
+     * @type {number}
+     */
+    this.weight = 1;
+
+    /**
+     * How to set the handles ("leftPos" and "rightPos").
+     * "free" and "aligned" are set by hand. "aligned" keeps the handles in a line (see setHandleMode()).
+     * "auto", "autoClamped" and "vector" are recomputed from the neighboring middle points by Curve.updateCurves().
+     *
+     * @type {"free"|"aligned"|"auto"|"autoClamped"|"vector"}
+     */
+    this.handleMode = "free";
+
     /**
      * Secret field.
      * This function is used by setGUI() in ./src/curve/control-point-3.js.
@@ -80,6 +96,15 @@ export class ControlPoint3 {
      * @type {()=>void}
      */
     this._updateGeometry = () => {};
+
+    /**
+     * Secret field.
+     * This function is used by createTransformControls() in ./src/main/transform-controls.js.
+     * Set it in advance using setGUI() in ./src/curve/control-point-3.js.
+     *
+     * @type {(key:string)=>void}
+     */
+    this._updateFromKey = () => {};
   }
 
   /**
@@ -165,6 +190,16 @@ export class ControlPoint3 {
     folder.add(cp.rightPos, "z").step(0.01).name("right.z").onChange(uRP);
     folder.add(cp, "isSyncRadius");
     folder.add(cp, "isSyncAngle");
+    folder.add(cp, "weight").min(0.01).step(0.01).onChange(updateCallback);
+    folder
+      .add(cp, "handleMode", [
+        "free",
+        "aligned",
+        "auto",
+        "autoClamped",
+        "vector",
+      ])
+      .onChange(updateHandleMode);
     const lFolder = folder.addFolder("local").close();
     _tmp = lFolder.add(cp.leftS, "radius").min(0).step(0.01);
     _tmp.name("left.radius").onChange(uLS);
@@ -221,11 +256,28 @@ export class ControlPoint3 {
      * @param {"middlePos"|"leftPos"|"rightPos"|"leftS"|"leftAx"|"leftAy"|"leftAz"|"rightS"|"rightAx"|"rightAy"|"rightAz"} key - A key to pass to this.updateFrom.
      */
     function updateFrom(key) {
+      // Moving a handle by hand stops recomputing the handles like Blender.
+      if (key !== "middlePos" && cp.isAutoHandle) {
+        cp.setHandleMode(cp.handleMode === "vector" ? "free" : "aligned");
+        folder.controllers.forEach((c) => c.updateDisplay());
+      }
       cp.updateFrom[key]();
       cp._updateGeometry(); // Set it in advance using createGeometry() in ./src/curve/control-point-3.js.
       leftRightControllers.forEach((c) => c.updateDisplay());
       updateCallback();
     }
+
+    function updateHandleMode() {
+      cp.setHandleMode(cp.handleMode);
+      folder.controllers.forEach((c) => c.updateDisplay());
+      updateFrom("middlePos"); // The handles are recomputed by updateCallback() if they are automatic.
+    }
+
+    // This function is used by createTransformControls() in ./src/main/transform-controls.js.
+    cp._updateFromKey = (key) => {
+      updateFrom(key);
+      folder.controllers.forEach((c) => c.updateDisplay());
+    };
   }
 
   /**
@@ -415,6 +467,50 @@ export class ControlPoint3 {
     );
   }
 
+  /**
+   * Whether the handles are recomputed from the neighboring middle points.
+   *
+   * @returns {boolean}
+   */
+  get isAutoHandle() {
+    return ["auto", "autoClamped", "vector"].includes(this.handleMode);
+  }
+
+  /**
+   * Set the handle mode.
+   * "free" turns off isSyncRadius and isSyncAngle, and "aligned" turns on isSyncAngle and aligns "rightPos" to "leftPos".
+   *
+   * @param {"free"|"aligned"|"auto"|"autoClamped"|"vector"} mode
+   */
+  setHandleMode(mode) {
+    this.handleMode = mode;
+    if (mode === "free") {
+      this.isSyncRadius = false;
+      this.isSyncAngle = false;
+    } else if (mode === "aligned") {
+      this.isSyncAngle = true;
+      this.syncLeftToRight();
+    }
+  }
+
+  /**
+   * Set "leftPos" and "rightPos" without synchronizing them, e.g. to the handles derived by Curve.updateCurves().
+   *
+   * @param {THREE.Vector3} leftPos
+   * @param {THREE.Vector3} rightPos
+   */
+  setHandles(leftPos, rightPos) {
+    const { isSyncRadius, isSyncAngle } = this;
+    this.isSyncRadius = false;
+    this.isSyncAngle = false;
+    this.leftPos.copy(leftPos);
+    this.updateFromLeftPos();
+    this.rightPos.copy(rightPos);
+    this.updateFromRightPos();
+    this.isSyncRadius = isSyncRadius;
+    this.isSyncAngle = isSyncAngle;
+  }
+
   /**
    * Returns a new ControlPoint3 with copied values from this instance.
    *
@@ -436,6 +532,8 @@ export class ControlPoint3 {
     this.rightPos.copy(source.rightPos);
     this.isSyncRadius = source.isSyncRadius;
     this.isSyncAngle = source.isSyncAngle;
+    this.weight = source.weight;
+    this.handleMode = source.handleMode;
     this.leftV.copy(source.leftV);
     this.leftS.copy(source.leftS);
     this.leftA.copy(source.leftA);
@@ -459,6 +557,8 @@ export class ControlPoint3 {
     data.rightPos = this.rightPos.toArray();
     data.isSyncRadius = this.isSyncRadius;
     data.isSyncAngle = this.isSyncAngle;
+    data.weight = this.weight;
+    data.handleMode = this.handleMode;
     data.leftV = this.leftV.toArray();
     data.leftS = this.leftS.toJSON();
     data.leftA = this.leftA.toArray();
@@ -481,6 +581,8 @@ export class ControlPoint3 {
     this.rightPos.fromArray(json.rightPos);
     this.isSyncRadius = json.isSyncRadius;
     this.isSyncAngle = json.isSyncAngle;
+    this.weight = json.weight ?? 1;
+    this.handleMode = json.handleMode ?? "free";
     this.leftV.fromArray(json.leftV);
     this.leftS.fromJSON(json.leftS);
     this.leftA.fromArray(json.leftA);
@@ -0,0 +1,310 @@
+import { GUI } from "lil-gui";
+import { Tube } from "./tube.js";
+import { Curve3 } from "./curve-3.js";
+import { Curve2 } from "./curve-2.js";
+import { Timeline } from "./timeline.js";
+import { setPresetGUI } from "./presets.js";
+import { screwShapedCurve3 } from "./samples/curve-3.js";
+import { smallCircleCurve2 } from "./samples/curve-2.js";
+import { isInvalidIndex } from "../math/utils.js";
+
+/**
+ * The functions to create a new part for each type.
+ *
+ * @type {{[type:string]:()=>(Tube|Curve3|Curve2)}}
+ */
+const partCreators = {
+  Tube: () => new Tube(),
+  Curve3: () => screwShapedCurve3.clone(),
+  Curve2: () => smallCircleCurve2.clone(),
+};
+
+/**
+ * A class for managing the named parts (Tube, Curve3 and Curve2) of a costume.
+ *
+ * ```js
+ * import { Costume } from "./src/curve/costume.js";
+ * const c = new Costume();
+ * ```
+ */
+export class Costume {
+  /**
+   * Constructs a new costume.
+   *
+   * @param {Array<{name:string,c:Tube|Curve3|Curve2}>} [parts] - The named parts.
+   */
+  constructor(parts = [{ name: "tube", c: new Tube() }]) {
+    this.type = "Costume";
+
+    /**
+     * The named parts.
+     *
+     * @type {Array<{name:string,c:Tube|Curve3|Curve2}>}
+     */
+    this.parts = parts;
+
+    /**
+     * The index of the part bound to the GUI.
+     *
+     * @type {number}
+     */
+    this.selectedIndex = 0;
+
+    /**
+     * The keyframes of the parts.
+     *
+     * @type {Timeline}
+     */
+    this.timeline = new Timeline();
+
+    /**
+     * Secret field.
+     * This function is used by setGUI() in ./src/curve/costume.js.
+     * Set it in advance using createCostumeGroup() in ./src/object-3d/group/costume.js.
+     *
+     * @type {()=>void}
+     */
+    this._updateGroup = () => {};
+
+    /**
+     * Secret field.
+     * This function is used by setGUI() in ./src/curve/costume.js.
+     * Set it in advance using createCostumeGroup() in ./src/object-3d/group/costume.js.
+     *
+     * @type {(gui:GUI)=>void}
+     */
+    this._setGroupGUI = () => {};
+  }
+
+  /**
+   * Get the selected part.
+   *
+   * @returns {{name:string,c:Tube|Curve3|Curve2}}
+   */
+  get selected() {
+    return this.parts[this.selectedIndex];
+  }
+
+  /**
+   * Set GUI.
+   *
+   * @param {GUI} gui
+   * @param {()=>void} updateCallback - The callback that is invoked after updating parts.
+   * @param {()=>Promise<?string>} openSVGCallback - The callback that picks an SVG file and returns its text. See setPresetGUI().
+   */
+  setGUI(gui, updateCallback = () => {}, openSVGCallback = async () => null) {
+    const co = this;
+
+    const obj = {
+      addTube: () => {
+        co.addPart("Tube");
+        updateIfPartsChange();
+      },
+      addCurve3: () => {
+        co.addPart("Curve3");
+        updateIfPartsChange();
+      },
+      addCurve2: () => {
+        co.addPart("Curve2");
+        updateIfPartsChange();
+      },
+      duplicatePart: () => {
+        co.duplicatePart(co.selectedIndex);
+        updateIfPartsChange();
+      },
+      removePart: () => {
+        co.removePart(co.selectedIndex);
+        updateIfPartsChange();
+      },
+      name: co.selected.name,
+    };
+
+    Array.from(gui.children)
+      .filter((v) => v._title === "Costume")
+      .forEach((v) => v.destroy());
+    const folder = gui.addFolder("Costume");
+    folder.add(obj, "addTube");
+    folder.add(obj, "addCurve3");
+    folder.add(obj, "addCurve2");
+    folder.add(obj, "duplicatePart");
+    const cRP = folder.add(obj, "removePart");
+    const cN = folder.add(obj, "name").onFinishChange(rename);
+    const cS = folder.add(co, "selectedIndex", {}).name("selected");
+    cS.onChange(select);
+    updateOptions();
+    updatePartGUI();
+
+    function updateIfPartsChange() {
+      co._updateGroup(); // Set it in advance using createCostumeGroup() in ./src/object-3d/group/costume.js.
+      updateOptions();
+      updatePartGUI();
+      updateCallback();
+    }
+    function rename() {
+      co.renamePart(co.selectedIndex, obj.name);
+      updateOptions();
+    }
+    function select() {
+      updateOptions();
+      updatePartGUI();
+    }
+    function updateOptions() {
+      cS.options(co.parts.reduce((o, p, i) => ({ ...o, [p.name]: i }), {}));
+      co.parts.length > 1 ? cRP.enable() : cRP.disable();
+      obj.name = co.selected.name;
+      cN.updateDisplay();
+    }
+    function updatePartGUI() {
+      Array.from(gui.children)
+        .filter((v) => ["Tube", "Curve3", "Curve2"].includes(v._title))
+        .forEach((v) => v.destroy());
+      co._setGroupGUI(gui); // Set it in advance using createCostumeGroup() in ./src/object-3d/group/costume.js.
+      const p = co.selected.c;
+      p instanceof Tube ? p.setGUI(gui) : p.setGUI(gui, p.type);
+      setPresetGUI(
+        gui,
+        p,
+        () => {
+          updatePartGUI(); // The number of the cps may change.
+          updateCallback();
+        },
+        openSVGCallback
+      );
+      co.timeline.setGUI(gui, co, updateCallback); // The paths depend on the selected part.
+    }
+  }
+
+  /**
+   * Get a name that is not used by the other parts.
+   * If the name is already used, a suffix like ".1" is added.
+   *
+   * @param {string} name - The name to make unique.
+   * @param {number} [ignoreIndex=-1] - The index of the part to ignore.
+   * @returns {string}
+   */
+  getUniqueName(name, ignoreIndex = -1) {
+    const names = this.parts
+      .filter((_, i) => i !== ignoreIndex)
+      .map((p) => p.name);
+    if (!names.includes(name)) return name;
+    let n = 1;
+    while (names.includes(`${name}.${n}`)) n++;
+    return `${name}.${n}`;
+  }
+
+  /**
+   * Add a new part to the end of this.parts and select it.
+   *
+   * @param {"Tube"|"Curve3"|"Curve2"} type - The type of the part.
+   */
+  addPart(type) {
+    const name = this.getUniqueName(type.toLowerCase());
+    this.parts.push({ name, c: partCreators[type]() });
+    this.selectedIndex = this.parts.length - 1;
+  }
+
+  /**
+   * Duplicate this.parts[index] next to it and select the copy.
+   *
+   * @param {number} index - The index of this.parts.
+   */
+  duplicatePart(index) {
+    if (isInvalidIndex(index, 0, this.parts.length - 1)) return;
+    const part = this.parts[index];
+    const name = this.getUniqueName(part.name);
+    this.parts.splice(index + 1, 0, { name, c: part.c.clone() });
+    this.selectedIndex = index + 1;
+  }
+
+  /**
+   * Remove this.parts[index]. The last part cannot be removed.
+   *
+   * @param {number} index - The index of this.parts.
+   */
+  removePart(index) {
+    if (isInvalidIndex(index, 0, this.parts.length - 1)) return;
+    if (this.parts.length <= 1) {
+      console.error("the last part cannot be removed.");
+      return;
+    }
+    this.timeline.removePart(this.parts[index].name);
+    this.parts.splice(index, 1);
+    this.selectedIndex = Math.min(this.selectedIndex, this.parts.length - 1);
+  }
+
+  /**
+   * Rename this.parts[index].
+   *
+   * @param {number} index - The index of this.parts.
+   * @param {string} name - The new name. It is made unique by getUniqueName().
+   */
+  renamePart(index, name) {
+    if (isInvalidIndex(index, 0, this.parts.length - 1)) return;
+    const newName = this.getUniqueName(name || "part", index);
+    this.timeline.renamePart(this.parts[index].name, newName);
+    this.parts[index].name = newName;
+  }
+
+  /**
+   * Returns a new costume with copied values from this instance.
+   *
+   * @return {Costume} A clone of this instance.
+   */
+  clone() {
+    return new this.constructor().copy(this);
+  }
+
+  /**
+   * Copies the values of the given costume to this instance.
+   *
+   * @param {Costume} source - The costume to copy.
+   * @returns {Costume} A reference to this costume.
+   */
+  copy(source) {
+    this.parts = source.parts.map((p) => ({ name: p.name, c: p.c.clone() }));
+    this.selectedIndex = source.selectedIndex;
+    this.timeline = source.timeline.clone();
+
+    return this;
+  }
+
+  /**
+   * Serializes the costume into JSON.
+   *
+   * @return {Object} A JSON object representing the serialized costume.
+   */
+  toJSON() {
+    const data = {};
+
+    data.parts = this.parts.map((p) => ({
+      name: p.name,
+      type: p.c.type,
+      c: p.c.toJSON(),
+    }));
+    data.selectedIndex = this.selectedIndex;
+    data.timeline = this.timeline.toJSON();
+
+    return data;
+  }
+
+  /**
+   * Deserializes the costume from the given JSON.
+   *
+   * @param {Object} json - The JSON holding the serialized costume.
+   * @return {Costume} A reference to this costume.
+   */
+  fromJSON(json) {
+    const partClasses = { Tube, Curve3, Curve2 };
+
+    this.parts = json.parts.map((p) => ({
+      name: p.name,
+      c: new partClasses[p.type]().fromJSON(p.c),
+    }));
+    this.selectedIndex = json.selectedIndex;
+    this.timeline = json.timeline
+      ? new Timeline().fromJSON(json.timeline)
+      : new Timeline();
+
+    return this;
+  }
+}
@@ -42,4 +42,41 @@ export class Curve2 extends Curve {
   get cpClass() {
     return ControlPoint2;
   }
+
+  /**
+   * Get y of the point at x, regarding this curve as a function of x.
+   * The Bezier parameter is solved by bisection in the first segment whose x range includes x,
+   * so x should increase (or decrease) monotonically along the curve.
+   * x out of the range of the curve is clamped to the nearer end.
+   *
+   * @param {number} x
+   * @returns {number}
+   */
+  getYAtX(x) {
+    const curves = this.curves;
+    if (curves.length === 0) return 0;
+
+    const curve = curves.find(
+      (c) => Math.min(c.v0.x, c.v3.x) <= x && x <= Math.max(c.v0.x, c.v3.x)
+    );
+    if (!curve) {
+      const first = curves[0].v0;
+      const last = curves[curves.length - 1].v3;
+      return Math.abs(x - first.x) <= Math.abs(x - last.x) ? first.y : last.y;
+    }
+
+    const p = new THREE.Vector2();
+    const sign = Math.sign(curve.v3.x - curve.v0.x) || 1;
+    let t0 = 0;
+    let t1 = 1;
+    for (let i = 0; i < 32; i++) {
+      const t = (t0 + t1) / 2;
+      if (sign * (curve.getPoint(t, p).x - x) < 0) {
+        t0 = t;
+      } else {
+        t1 = t;
+      }
+    }
+    return curve.getPoint((t0 + t1) / 2, p).y;
+  }
 }
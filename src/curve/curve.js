@@ -4,6 +4,18 @@ import { ControlPoint3 } from "./control-point-3.js";
 import { ControlPoint2 } from "./control-point-2.js";
 import { GUI } from "lil-gui";
 import { isInvalidIndex } from "../math/utils.js";
+import { RationalBezierCurve } from "./rational-bezier-curve.js";
+
+/**
+ * The interpolation modes of Curve. See Curve.interpolation.
+ */
+export const interpolations = [
+  "bezier",
+  "polyline",
+  "catmullrom",
+  "bspline",
+  "nurbs",
+];
 
 /**
  * A 3D/2D Cubic Bezier curve path using 3D/2D control points.
@@ -29,6 +41,23 @@ export class Curve extends THREE.CurvePath {
      */
     this.cps = cps;
 
+    /**
+     * Whether to connect the last cp to the first cp.
+     *
+     * @type {boolean}
+     */
+    this.isClosed = false;
+
+    /**
+     * How to interpolate the cps.
+     * "bezier" uses the handles of the cps.
+     * "polyline" and "catmullrom" (centripetal Catmull-Rom) pass through the middle points and derive the handles.
+     * "bspline" (uniform B-spline) and "nurbs" (rational B-spline weighted by cp.weight) are pulled by the middle points and ignore the handles.
+     *
+     * @type {"bezier"|"polyline"|"catmullrom"|"bspline"|"nurbs"}
+     */
+    this.interpolation = "bezier";
+
     /**
      * Secret field.
      * This function is used by setGUI() in ./src/curve/curve.js.
@@ -47,6 +76,15 @@ export class Curve extends THREE.CurvePath {
      */
     this._updateCpsGroup = () => {};
 
+    /**
+     * Secret field.
+     * This function is used by createTransformControls() in ./src/main/transform-controls.js.
+     * Set it in advance using setGUI() in ./src/curve/curve.js.
+     *
+     * @type {()=>void}
+     */
+    this._updateFromCpsLength = () => {};
+
     this.updateCurves();
   }
 
@@ -78,22 +116,91 @@ export class Curve extends THREE.CurvePath {
   }
 
   /**
-   * Update curves using this.cps.
+   * Update curves using this.cps and this.interpolation.
+   * If this.isClosed is true, the curve from the last cp to the first cp is added.
+   * Each cp has one curve to the next cp in every interpolation.
+   * "polyline" and "catmullrom" set the derived handles to the cps, so that switching to "bezier" keeps the curve.
+   * In "bezier", the handles of the cps with automatic cp.handleMode are recomputed first (see updateAutoHandles()).
    */
   updateCurves() {
+    if (this.interpolation === "bezier") this.updateAutoHandles();
+
     this.curves = [];
-    for (let i = 0, l = this.cps.length - 1; i < l; i++) {
-      const curve = new this.curveClass(
-        this.cps[i].middlePos.clone(),
-        this.cps[i].rightPos.clone(),
-        this.cps[i + 1].leftPos.clone(),
-        this.cps[i + 1].middlePos.clone()
-      );
+    const l = this.cps.length;
+    const closed = this.isClosed && l >= 2;
+    const segments = closed ? l : l - 1;
+    const mode = this.interpolation;
+    for (let i = 0; i < segments; i++) {
+      const cp1 = this.cps[i];
+      const cp2 = this.cps[(i + 1) % l];
+      const p1 = cp1.middlePos.clone();
+      const p2 = cp2.middlePos.clone();
+
+      let curve;
+      if (mode === "polyline") {
+        curve = new this.curveClass(
+          p1,
+          p1.clone().lerp(p2, 1 / 3),
+          p1.clone().lerp(p2, 2 / 3),
+          p2
+        );
+      } else if (mode === "catmullrom") {
+        const p0 = getMiddlePos(this.cps, i - 1, closed);
+        const p3 = getMiddlePos(this.cps, i + 2, closed);
+        const [v1, v2] = getCatmullRomHandles(p0, p1, p2, p3);
+        curve = new this.curveClass(p1, v1, v2, p2);
+      } else if (mode === "bspline" || mode === "nurbs") {
+        const { vs, weights } = getBSplineBezier(
+          [i - 1, i, i + 1, i + 2].map((j) =>
+            getHomogeneous(this.cps, j, closed, mode === "nurbs")
+          )
+        );
+        curve =
+          mode === "nurbs"
+            ? new RationalBezierCurve(...vs, weights)
+            : new this.curveClass(...vs);
+      } else {
+        curve = new this.curveClass(
+          p1,
+          cp1.rightPos.clone(),
+          cp2.leftPos.clone(),
+          p2
+        );
+      }
       this.curves.push(curve);
     }
+
+    if ((mode === "polyline" || mode === "catmullrom") && segments > 0) {
+      this.cps.forEach((cp, i) => {
+        const left = i > 0 || closed ? this.curves.at(i - 1).v2 : null;
+        const right = i < segments ? this.curves[i].v1 : null;
+        const mirror = (v) => cp.middlePos.clone().multiplyScalar(2).sub(v);
+        cp.setHandles(left ?? mirror(right), right ?? mirror(left));
+        cp._updateGeometry(); // Set it in advance using createGeometry() in ./src/curve/control-point-{3,2}.js.
+      });
+    }
+
     this.updateArcLengths();
   }
 
+  /**
+   * Recompute the handles of the cps whose cp.handleMode is "auto", "autoClamped" or "vector"
+   * from the neighboring middle points in the same way as the handles of Blender.
+   * The neighbors of the end cps are reflected like getMiddlePos() unless the curve is closed.
+   */
+  updateAutoHandles() {
+    const l = this.cps.length;
+    if (l < 2) return;
+    const closed = this.isClosed;
+    this.cps.forEach((cp, i) => {
+      if (!cp.isAutoHandle) return;
+      const prev = getMiddlePos(this.cps, i - 1, closed);
+      const next = getMiddlePos(this.cps, i + 1, closed);
+      cp.setHandles(...getAutoHandles(prev, cp.middlePos, next, cp.handleMode));
+      cp._updateGeometry(); // Set it in advance using createGeometry() in ./src/curve/control-point-{3,2}.js.
+    });
+  }
+
   /**
    * Create geometry.
    *
@@ -119,8 +226,15 @@ export class Curve extends THREE.CurvePath {
    * @param {string} name - The curve folder name used in the GUI.
    * @param {()=>void} updateCallback - The callback that is invoked after updating curve.
    * @param {boolean} isClose - Whether to close the folder.
+   * @param {boolean} canClose - Whether to show "isClosed". Set it false for the curves that can't be a loop, e.g. the cross section and the profiles of a tube.
    */
-  setGUI(gui, name = this.type, updateCallback = () => {}, isClose = false) {
+  setGUI(
+    gui,
+    name = this.type,
+    updateCallback = () => {},
+    isClose = false,
+    canClose = true
+  ) {
     const c = this;
 
     const obj = {
@@ -142,35 +256,58 @@ export class Curve extends THREE.CurvePath {
         c.removeCp(obj.rIndex);
         updateIfCpsLengthChanges();
       },
+      u: 0.5,
+      insertCpAtU: () => {
+        if (c.insertCpAtU(obj.u) === -1) return;
+        updateIfCpsLengthChanges();
+      },
+      dIndex: 0,
+      dissolveCp: () => {
+        c.dissolveCp(obj.dIndex);
+        updateIfCpsLengthChanges();
+      },
     };
 
     Array.from(gui.children)
       .filter((v) => v._title === name)
       .forEach((v) => v.destroy());
     const folder = gui.addFolder(name);
+    if (canClose) folder.add(c, "isClosed").onChange(updateFromCp);
+    folder.add(c, "interpolation", interpolations).onChange(() => {
+      updateEnabled();
+      updateFromCp();
+    });
     folder.add(obj, "addCpToFirst");
     folder.add(obj, "addCpToLast");
     const cICP = folder.add(obj, "interpolateCp");
     const cRCP = folder.add(obj, "removeCp");
+    const cICPU = folder.add(obj, "insertCpAtU");
+    const cDCP = folder.add(obj, "dissolveCp");
     let cII = folder.add(obj, "iIndex").name("interpolateCp index");
     let cRI = folder.add(obj, "rIndex").name("removeCp index");
+    folder.add(obj, "u", 0, 1, 0.01).name("insertCpAtU u");
+    let cDI = folder.add(obj, "dIndex").name("dissolveCp index");
     updateEnabled();
     updateOptions();
     updateCpsFolder();
     if (isClose) folder.close();
 
+    // This function is used by createTransformControls() in ./src/main/transform-controls.js.
+    c._updateFromCpsLength = updateIfCpsLengthChanges;
+
     function updateIfCpsLengthChanges() {
       c._updateCpsGroup(); // Set it in advance using createCpsGroup() in ./src/object-3d/group/curve.js.
+      c.updateCurves(); // The automatic handles of the new cps are set before their GUI is created.
       updateEnabled();
       updateOptions();
       updateCpsFolder();
-      c.updateCurves();
       c._updateGeometry(); // Set it in advance using createGeometry() in ./src/curve/curve.js.
       updateCallback();
     }
     function updateFromCp() {
       c.updateCurves();
       c._updateGeometry(); // Set it in advance using createGeometry() in ./src/curve/curve.js.
+      folder.controllersRecursive().forEach((v) => v.updateDisplay()); // The handles may be derived.
       updateCallback();
     }
     function updateEnabled() {
@@ -178,10 +315,15 @@ export class Curve extends THREE.CurvePath {
       c.safeRIndexList.indexOf(obj.rIndex) !== -1
         ? cRCP.enable()
         : cRCP.disable();
+      c.safeRIndexList.indexOf(obj.dIndex) !== -1
+        ? cDCP.enable()
+        : cDCP.disable();
+      cICPU.enable(c.canInsertCp);
     }
     function updateOptions() {
       cII = cII.options(c.iIndexList).onChange(updateEnabled);
       cRI = cRI.options(c.safeRIndexList).onChange(updateEnabled);
+      cDI = cDI.options(c.safeRIndexList).onChange(updateEnabled);
     }
     function updateCpsFolder() {
       Array.from(folder.children)
@@ -195,10 +337,12 @@ export class Curve extends THREE.CurvePath {
 
   /**
    * Add cp to the beginning of this.cps.
+   * The new cp is placed ahead of the first cp by the distance to the second cp (or by its left handle),
+   * and its handles are "auto", so that the curve stays smooth.
    */
   addCpToFirst() {
     if (this.cps.length !== 0) {
-      this.cps.unshift(this.cps[0].clone()); // Copy first cp.
+      this.cps.unshift(extendCp(this.cps[0], this.cps[1], "leftV"));
     } else {
       this.cps.unshift(new this.cpClass());
     }
@@ -206,10 +350,13 @@ export class Curve extends THREE.CurvePath {
 
   /**
    * Add cp to the end of this.cps.
+   * The new cp is placed ahead of the last cp by the distance to the previous cp (or by its right handle),
+   * and its handles are "auto", so that the curve stays smooth.
    */
   addCpToLast() {
-    if (this.cps.length !== 0) {
-      this.cps.push(this.cps[this.cps.length - 1].clone()); // Copy last cp.
+    const l = this.cps.length;
+    if (l !== 0) {
+      this.cps.push(extendCp(this.cps[l - 1], this.cps[l - 2], "rightV"));
     } else {
       this.cps.push(new this.cpClass());
     }
@@ -258,6 +405,162 @@ export class Curve extends THREE.CurvePath {
     this.cps.splice(index, 1);
   }
 
+  /**
+   * Whether insertCpAt() keeps the shape in this.interpolation.
+   *
+   * @returns {boolean}
+   */
+  get canInsertCp() {
+    return this.interpolation === "bezier" || this.interpolation === "polyline";
+  }
+
+  /**
+   * Insert a cp at t by splitting the segment with de Casteljau's algorithm.
+   * t is the parameter of the segments, i.e. t * the number of segments = the segment index + the Bezier parameter in it.
+   * The shape is kept exactly, and the handles of the neighboring cps are shortened.
+   * It works only in "bezier" and "polyline" (see canInsertCp), since the other interpolations change the shape
+   * by deriving the curve again from the middle points including the new one.
+   *
+   * @param {number} t - In the range [0,1].
+   * @returns {number} The index of the new cp, or -1 if t is on a cp or the interpolation can't keep the shape.
+   */
+  insertCpAt(t) {
+    const segments = this.curves.length;
+    if (segments === 0 || !this.canInsertCp) return -1;
+    const x = THREE.MathUtils.clamp(t, 0, 1) * segments;
+    const i = Math.min(Math.floor(x), segments - 1);
+    const s = x - i;
+    if (s < 1e-6 || s > 1 - 1e-6) return -1;
+
+    const { v0, v1, v2, v3 } = this.curves[i];
+    const v01 = v0.clone().lerp(v1, s);
+    const v12 = v1.clone().lerp(v2, s);
+    const v23 = v2.clone().lerp(v3, s);
+    const v012 = v01.clone().lerp(v12, s);
+    const v123 = v12.clone().lerp(v23, s);
+    const cp = new this.cpClass(
+      v012.clone().lerp(v123, s),
+      v012,
+      v123,
+      false,
+      true
+    );
+    cp.handleMode = "aligned";
+
+    const cp1 = this.cps[i];
+    const cp2 = this.cps[(i + 1) % this.cps.length];
+    keepHandles(cp1);
+    cp1.isSyncRadius = false;
+    cp1.setHandles(cp1.leftPos, v01);
+    keepHandles(cp2);
+    cp2.isSyncRadius = false;
+    cp2.setHandles(v23, cp2.rightPos);
+
+    this.cps.splice(i + 1, 0, cp);
+    this.updateCurves();
+    return i + 1;
+  }
+
+  /**
+   * Insert a cp at the arc-length parameter u in the same way as insertCpAt().
+   *
+   * @param {number} u - In the range [0,1]. The same as u of getPointAt(u).
+   * @returns {number} The index of the new cp, or -1 if u is on a cp.
+   */
+  insertCpAtU(u) {
+    const lengths = this.getCurveLengths();
+    if (lengths.length === 0) return -1;
+    const d = THREE.MathUtils.clamp(u, 0, 1) * this.getLength();
+    const i = Math.max(
+      lengths.findIndex((l) => l >= d),
+      0
+    );
+    const start = i > 0 ? lengths[i - 1] : 0;
+    const s = (d - start) / (lengths[i] - start || 1);
+    const t = this.curves[i].getUtoTmapping(THREE.MathUtils.clamp(s, 0, 1));
+    return this.insertCpAt((i + t) / lengths.length);
+  }
+
+  /**
+   * Get t of insertCpAt(t) at the point on the curve nearest to the position.
+   *
+   * @param {THREE.Vector3|THREE.Vector2} position
+   * @returns {number} In the range [0,1].
+   */
+  getNearestT(position) {
+    const segments = this.curves.length;
+    if (segments === 0) return 0;
+    const divisions = 32 * segments;
+    const p = position.clone();
+    const distance = (t) => {
+      const x = t * segments;
+      const i = Math.min(Math.floor(x), segments - 1);
+      return this.curves[i].getPoint(x - i, p).distanceToSquared(position);
+    };
+
+    let best = 0;
+    for (let j = 1; j <= divisions; j++) {
+      if (distance(j / divisions) < distance(best / divisions)) best = j;
+    }
+
+    // Refine it by golden-section search around the nearest sample.
+    let a = Math.max(best - 1, 0) / divisions;
+    let b = Math.min(best + 1, divisions) / divisions;
+    const r = (Math.sqrt(5) - 1) / 2;
+    for (let j = 0; j < 32; j++) {
+      const t1 = b - r * (b - a);
+      const t2 = a + r * (b - a);
+      distance(t1) < distance(t2) ? (b = t2) : (a = t1);
+    }
+    return (a + b) / 2;
+  }
+
+  /**
+   * Remove this.cps[index], and refit the handles of the neighboring cps so that the shape survives as much as possible.
+   * The new segment keeps the end points and the directions of the handles, and its handle lengths are fitted to
+   * the removed two segments by least squares (Schneider's algorithm).
+   * It works like removeCp() for the end cps of an open curve and for the interpolations other than "bezier".
+   *
+   * @param {number} index - The index of this.cps.
+   */
+  dissolveCp(index) {
+    if (isInvalidIndex(index, 0, this.cps.length - 1)) return;
+    const l = this.cps.length;
+    const isEnd = !this.isClosed && (index === 0 || index === l - 1);
+    if (l < 3 || isEnd || this.interpolation !== "bezier") {
+      this.removeCp(index);
+      return;
+    }
+
+    const cp1 = this.cps[(index - 1 + l) % l];
+    const cp2 = this.cps[(index + 1) % l];
+    const points = [
+      ...this.curves.at(index - 1).getPoints(16),
+      ...this.curves[index].getPoints(16).slice(1),
+    ];
+    const [alpha1, alpha2] = fitHandleLengths(
+      points,
+      cp1.rightV.clone().normalize(),
+      cp2.leftV.clone().normalize()
+    );
+
+    keepHandles(cp1);
+    cp1.isSyncRadius = false;
+    cp1.setHandles(
+      cp1.leftPos,
+      cp1.rightV.clone().setLength(alpha1).add(cp1.middlePos)
+    );
+    keepHandles(cp2);
+    cp2.isSyncRadius = false;
+    cp2.setHandles(
+      cp2.leftV.clone().setLength(alpha2).add(cp2.middlePos),
+      cp2.rightPos
+    );
+
+    this.cps.splice(index, 1);
+    this.updateCurves();
+  }
+
   /**
    * Get the index list of interpolateCp(index).
    *
@@ -301,6 +604,9 @@ export class Curve extends THREE.CurvePath {
       this.cps.push(cp.clone());
     }
 
+    this.isClosed = source.isClosed;
+    this.interpolation = source.interpolation;
+
     this.updateCurves();
 
     return this;
@@ -321,6 +627,9 @@ export class Curve extends THREE.CurvePath {
       data.cps.push(cp.toJSON());
     }
 
+    data.isClosed = this.isClosed;
+    data.interpolation = this.interpolation;
+
     return data;
   }
 
@@ -331,7 +640,8 @@ export class Curve extends THREE.CurvePath {
    * @return {Curve} A reference to this Curve.
    */
   fromJSON(json) {
-    super.fromJSON(json);
+    // The curves are not restored by THREE.CurvePath, since they are derived from the cps by updateCurves().
+    super.fromJSON({ ...json, curves: [] });
 
     this.cps = [];
 
@@ -340,8 +650,263 @@ export class Curve extends THREE.CurvePath {
       this.cps.push(new this.cpClass().fromJSON(cp));
     }
 
+    this.isClosed = json.isClosed ?? false;
+    this.interpolation = json.interpolation ?? "bezier";
+
     this.updateCurves();
 
     return this;
   }
 }
+
+/**
+ * Get the middle point of the cp.
+ * The index out of the range is wrapped if the curve is closed,
+ * otherwise the point is reflected by the end point, e.g. cps[-1] = 2 * cps[0] - cps[1].
+ *
+ * @param {Array<ControlPoint3>|Array<ControlPoint2>} cps
+ * @param {number} i
+ * @param {boolean} closed
+ * @returns {THREE.Vector3|THREE.Vector2}
+ */
+function getMiddlePos(cps, i, closed) {
+  const l = cps.length;
+  if (closed) return cps[(i + l) % l].middlePos.clone();
+  if (i < 0) return reflect(cps[0].middlePos, cps[1].middlePos);
+  if (i >= l) return reflect(cps[l - 1].middlePos, cps[l - 2].middlePos);
+  return cps[i].middlePos.clone();
+}
+
+/**
+ * Get the handles of the cp computed from the neighboring middle points.
+ * "vector" points the handles to the neighbors at 1/3 of the distance.
+ * "auto" uses the direction bisecting the neighbors and the lengths of Blender (the distance / 2.5614).
+ * "autoClamped" also flattens each axis of the direction at the local extrema to avoid overshoots.
+ *
+ * @param {THREE.Vector3|THREE.Vector2} prev - The previous middle point.
+ * @param {THREE.Vector3|THREE.Vector2} p - The middle point of the cp.
+ * @param {THREE.Vector3|THREE.Vector2} next - The next middle point.
+ * @param {"auto"|"autoClamped"|"vector"} mode
+ * @returns {Array<THREE.Vector3|THREE.Vector2>} The leftside handle and the rightside handle.
+ */
+function getAutoHandles(prev, p, next, mode) {
+  if (mode === "vector") {
+    return [p.clone().lerp(prev, 1 / 3), p.clone().lerp(next, 1 / 3)];
+  }
+
+  const a = p.clone().sub(prev);
+  const b = next.clone().sub(p);
+  const lenA = a.length();
+  const lenB = b.length();
+  const tangent = a
+    .clone()
+    .divideScalar(lenA || 1)
+    .add(b.clone().divideScalar(lenB || 1));
+  if (mode === "autoClamped") {
+    ["x", "y", "z"]
+      .filter((k) => k in p && a[k] * b[k] <= 0)
+      .forEach((k) => (tangent[k] = 0));
+  }
+  if (tangent.lengthSq() === 0) return [p.clone(), p.clone()];
+
+  tangent.normalize();
+  return [
+    p.clone().addScaledVector(tangent, -lenA / 2.5614),
+    p.clone().addScaledVector(tangent, lenB / 2.5614),
+  ];
+}
+
+/**
+ * Stop recomputing the handles of the cp, so that the handles set by hand are kept.
+ * "auto" and "autoClamped" become "aligned", and "vector" becomes "free".
+ *
+ * @param {ControlPoint3|ControlPoint2} cp
+ */
+function keepHandles(cp) {
+  if (!cp.isAutoHandle) return;
+  cp.setHandleMode(cp.handleMode === "vector" ? "free" : "aligned");
+}
+
+/**
+ * Fit the handle lengths of a cubic Bezier curve to the points by least squares.
+ * The points are parameterized by the chord length.
+ * If the fitting fails, the handle lengths are 1/3 of the distance between the end points.
+ *
+ * @param {Array<THREE.Vector3|THREE.Vector2>} points - The points from the start point to the end point.
+ * @param {THREE.Vector3|THREE.Vector2} tangent1 - The unit direction of the handle of the start point.
+ * @param {THREE.Vector3|THREE.Vector2} tangent2 - The unit direction of the handle of the end point.
+ * @returns {Array<number>} The handle lengths of the start point and the end point.
+ */
+function fitHandleLengths(points, tangent1, tangent2) {
+  const p0 = points[0];
+  const p3 = points.at(-1);
+  const chords = [0];
+  for (let i = 1; i < points.length; i++) {
+    chords.push(chords[i - 1] + points[i].distanceTo(points[i - 1]));
+  }
+  const total = chords.at(-1) || 1;
+
+  let [c00, c01, c11, x0, x1] = [0, 0, 0, 0, 0];
+  points.forEach((point, i) => {
+    const t = chords[i] / total;
+    const s = 1 - t;
+    const [b0, b1, b2, b3] = [
+      s * s * s,
+      3 * s * s * t,
+      3 * s * t * t,
+      t * t * t,
+    ];
+    const a1 = tangent1.clone().multiplyScalar(b1);
+    const a2 = tangent2.clone().multiplyScalar(b2);
+    const rest = point
+      .clone()
+      .sub(p0.clone().multiplyScalar(b0 + b1))
+      .sub(p3.clone().multiplyScalar(b2 + b3));
+    c00 += a1.dot(a1);
+    c01 += a1.dot(a2);
+    c11 += a2.dot(a2);
+    x0 += a1.dot(rest);
+    x1 += a2.dot(rest);
+  });
+
+  const det = c00 * c11 - c01 * c01;
+  const alpha1 = (x0 * c11 - x1 * c01) / det;
+  const alpha2 = (c00 * x1 - c01 * x0) / det;
+  const epsilon = p0.distanceTo(p3) * 1e-6;
+  if (!(Math.abs(det) > 1e-12 && alpha1 > epsilon && alpha2 > epsilon)) {
+    return [p0.distanceTo(p3) / 3, p0.distanceTo(p3) / 3];
+  }
+  return [alpha1, alpha2];
+}
+
+/**
+ * Clone the end cp and move the clone ahead of it.
+ * The offset is the vector from the neighboring cp to the end cp, or 3 times the outside handle if there is no neighbor.
+ *
+ * @param {ControlPoint3|ControlPoint2} end - The first or last cp.
+ * @param {ControlPoint3|ControlPoint2} [neighbor] - The cp next to the end cp.
+ * @param {"leftV"|"rightV"} handleKey - The outside handle of the end cp.
+ * @returns {ControlPoint3|ControlPoint2} The new cp whose handleMode is "auto".
+ */
+function extendCp(end, neighbor, handleKey) {
+  const cp = end.clone();
+  const offset = neighbor
+    ? end.middlePos.clone().sub(neighbor.middlePos)
+    : end[handleKey].clone().multiplyScalar(3);
+  cp.middlePos.add(offset);
+  cp.updateFromMiddlePos();
+  cp.setHandleMode("auto");
+  return cp;
+}
+
+/**
+ * Get the middle point of the cp multiplied by its weight, and the weight, in the same way as getMiddlePos().
+ *
+ * @param {Array<ControlPoint3>|Array<ControlPoint2>} cps
+ * @param {number} i
+ * @param {boolean} closed
+ * @param {boolean} isWeighted - Whether to use cp.weight. If false, the weight is 1.
+ * @returns {{v:THREE.Vector3|THREE.Vector2,w:number}}
+ */
+function getHomogeneous(cps, i, closed, isWeighted) {
+  const l = cps.length;
+  const get = (cp) => {
+    const w = isWeighted ? cp.weight : 1;
+    return { v: cp.middlePos.clone().multiplyScalar(w), w };
+  };
+  if (closed) return get(cps[(i + l) % l]);
+  if (i < 0 || i >= l) {
+    const [h0, h1] = (i < 0 ? [0, 1] : [l - 1, l - 2]).map((j) => get(cps[j]));
+    return { v: reflect(h0.v, h1.v), w: 2 * h0.w - h1.w };
+  }
+  return get(cps[i]);
+}
+
+/**
+ * @param {THREE.Vector3|THREE.Vector2} origin
+ * @param {THREE.Vector3|THREE.Vector2} v
+ * @returns {THREE.Vector3|THREE.Vector2} v reflected by origin.
+ */
+function reflect(origin, v) {
+  return origin.clone().multiplyScalar(2).sub(v);
+}
+
+/**
+ * Get the handles of the centripetal Catmull-Rom segment from p1 to p2 as a cubic Bezier curve.
+ * It is the same as THREE.CatmullRomCurve3 with curveType "centripetal".
+ *
+ * @param {THREE.Vector3|THREE.Vector2} p0 - The middle point before p1.
+ * @param {THREE.Vector3|THREE.Vector2} p1
+ * @param {THREE.Vector3|THREE.Vector2} p2
+ * @param {THREE.Vector3|THREE.Vector2} p3 - The middle point after p2.
+ * @returns {Array<THREE.Vector3|THREE.Vector2>} The rightside handle of p1 and the leftside handle of p2.
+ */
+function getCatmullRomHandles(p0, p1, p2, p3) {
+  let dt0 = Math.pow(p0.distanceToSquared(p1), 0.25);
+  let dt1 = Math.pow(p1.distanceToSquared(p2), 0.25);
+  let dt2 = Math.pow(p2.distanceToSquared(p3), 0.25);
+
+  // safety check for repeated points
+  if (dt1 < 1e-4) dt1 = 1.0;
+  if (dt0 < 1e-4) dt0 = dt1;
+  if (dt2 < 1e-4) dt2 = dt1;
+
+  // The tangents at p1 and p2 of the segment parameterized from 0 to dt1.
+  const t1 = p1
+    .clone()
+    .sub(p0)
+    .divideScalar(dt0)
+    .sub(
+      p2
+        .clone()
+        .sub(p0)
+        .divideScalar(dt0 + dt1)
+    )
+    .add(p2.clone().sub(p1).divideScalar(dt1));
+  const t2 = p2
+    .clone()
+    .sub(p1)
+    .divideScalar(dt1)
+    .sub(
+      p3
+        .clone()
+        .sub(p1)
+        .divideScalar(dt1 + dt2)
+    )
+    .add(p3.clone().sub(p2).divideScalar(dt2));
+
+  return [
+    p1.clone().addScaledVector(t1, dt1 / 3),
+    p2.clone().addScaledVector(t2, -dt1 / 3),
+  ];
+}
+
+/**
+ * Convert the segment of the uniform cubic B-spline to the (rational) cubic Bezier curve.
+ * The conversion is done in homogeneous coordinates, so that it works with the weights of NURBS.
+ *
+ * @param {Array<{v:THREE.Vector3|THREE.Vector2,w:number}>} hs - The 4 homogeneous points of the segment. See getHomogeneous().
+ * @returns {{vs:Array<THREE.Vector3|THREE.Vector2>,weights:Array<number>}} The 4 points of the Bezier curve and their weights.
+ */
+function getBSplineBezier(hs) {
+  const matrix = [
+    [1, 4, 1, 0],
+    [0, 4, 2, 0],
+    [0, 2, 4, 0],
+    [0, 1, 4, 1],
+  ];
+  const bs = matrix.map((row) => {
+    const v = hs[0].v.clone().multiplyScalar(0);
+    let w = 0;
+    row.forEach((k, j) => {
+      v.addScaledVector(hs[j].v, k / 6);
+      w += (hs[j].w * k) / 6;
+    });
+    return { v, w };
+  });
+
+  return {
+    vs: bs.map(({ v, w }) => v.divideScalar(w)),
+    weights: bs.map(({ w }) => w),
+  };
+}
@@ -0,0 +1,390 @@
+import { GUI } from "lil-gui";
+import { Tube } from "./tube.js";
+import { Curve } from "./curve.js";
+import { Curve3 } from "./curve-3.js";
+import { Curve2 } from "./curve-2.js";
+import {
+  circleCurve2,
+  smallCircleCurve2,
+  gentlyRisingCurve2,
+  gentlyDescendingCurve2,
+  gentlyRisingCurve2InRadians,
+  gentlyDescendingCurve2InRadians,
+  constant1Curve2,
+  constant0Curve2,
+  createCircleCurve2,
+  createEllipseCurve2,
+  createPolygonCurve2,
+  createRoundedRectangleCurve2,
+  createStarCurve2,
+  createTeardropCurve2,
+  createHeartCurve2,
+  createScallopCurve2,
+} from "./samples/curve-2.js";
+import { screwShapedCurve3, constant0Curve3 } from "./samples/curve-3.js";
+import { parseSVG } from "./svg.js";
+
+const storageKey = "costume-design:presets";
+
+/**
+ * The library presets for each curve type. They can't be overwritten or removed.
+ *
+ * @type {{[type:string]:{[name:string]:Curve}}}
+ */
+export const libraryPresets = {
+  Curve3: {
+    screwShaped: screwShapedCurve3,
+    constant0: constant0Curve3,
+  },
+  Curve2: {
+    circle: circleCurve2,
+    smallCircle: smallCircleCurve2,
+    gentlyRising: gentlyRisingCurve2,
+    gentlyDescending: gentlyDescendingCurve2,
+    gentlyRisingInRadians: gentlyRisingCurve2InRadians,
+    gentlyDescendingInRadians: gentlyDescendingCurve2InRadians,
+    constant1: constant1Curve2,
+    constant0: constant0Curve2,
+  },
+};
+
+/**
+ * The generators of the cross sections. Each parameter has its default value and its range of GUI: [value, min, max, step].
+ * The parameters are passed to the function in this order.
+ *
+ * @type {{[name:string]:{create:(...args:Array<number>)=>Curve2,parameters:{[key:string]:Array<number>}}}}
+ */
+export const generators = {
+  circle: {
+    create: createCircleCurve2,
+    parameters: { radius: [1, 0.01, 10, 0.01] },
+  },
+  ellipse: {
+    create: createEllipseCurve2,
+    parameters: {
+      xRadius: [1, 0.01, 10, 0.01],
+      yRadius: [0.5, 0.01, 10, 0.01],
+    },
+  },
+  polygon: {
+    create: createPolygonCurve2,
+    parameters: { sides: [6, 3, 32, 1], radius: [1, 0.01, 10, 0.01] },
+  },
+  roundedRectangle: {
+    create: createRoundedRectangleCurve2,
+    parameters: {
+      width: [2, 0.01, 20, 0.01],
+      height: [1, 0.01, 20, 0.01],
+      cornerRadius: [0.25, 0, 10, 0.01],
+    },
+  },
+  star: {
+    create: createStarCurve2,
+    parameters: {
+      points: [5, 2, 32, 1],
+      outerRadius: [1, 0.01, 10, 0.01],
+      innerRadius: [0.5, 0.01, 10, 0.01],
+    },
+  },
+  teardrop: {
+    create: createTeardropCurve2,
+    parameters: { radius: [0.5, 0.01, 10, 0.01], length: [1, 0.01, 20, 0.01] },
+  },
+  heart: {
+    create: createHeartCurve2,
+    parameters: { width: [2, 0.01, 20, 0.01] },
+  },
+  scallop: {
+    create: createScallopCurve2,
+    parameters: {
+      lobes: [8, 3, 64, 1],
+      radius: [1, 0.01, 10, 0.01],
+      depth: [0.2, -1, 1, 0.01],
+    },
+  },
+};
+
+/**
+ * The classes to restore the user presets.
+ */
+const curveClasses = { Curve3, Curve2 };
+
+/**
+ * The selections of the preset GUI. They are kept while the GUI is recreated.
+ */
+const settings = {
+  target: "cross",
+  preset: "",
+  name: "my curve",
+  generator: "polygon",
+  svgSize: 2,
+  svgFit: "center",
+};
+
+/**
+ * The parameters of each generator edited in the GUI.
+ */
+const generatorSettings = Object.fromEntries(
+  Object.entries(generators).map(([name, { parameters }]) => [
+    name,
+    Object.fromEntries(
+      Object.entries(parameters).map(([key, [value]]) => [key, value])
+    ),
+  ])
+);
+
+/**
+ * Get the names of the library presets and the user presets.
+ *
+ * @param {"Curve3"|"Curve2"} type
+ * @returns {Array<string>}
+ */
+export function getPresetNames(type) {
+  return [
+    ...Object.keys(libraryPresets[type]),
+    ...Object.keys(loadUserPresets()[type]),
+  ];
+}
+
+/**
+ * @param {"Curve3"|"Curve2"} type
+ * @param {string} name
+ * @returns {?Curve} A copy of the preset, or null if it is not found.
+ */
+export function getPreset(type, name) {
+  const library = libraryPresets[type][name];
+  if (library) return library.clone();
+
+  const json = loadUserPresets()[type][name];
+  return json ? new curveClasses[type]().fromJSON(json) : null;
+}
+
+/**
+ * @param {"Curve3"|"Curve2"} type
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isUserPreset(type, name) {
+  return name in loadUserPresets()[type];
+}
+
+/**
+ * Save a copy of the curve as a user preset in localStorage.
+ * A user preset with the same name is overwritten.
+ *
+ * @param {string} name
+ * @param {Curve3|Curve2} c
+ * @returns {boolean} Whether the preset is saved.
+ */
+export function savePreset(name, c) {
+  if (name === "" || name in libraryPresets[c.type]) {
+    console.error(`the name(${name}) can't be used for a preset.`);
+    return false;
+  }
+
+  const presets = loadUserPresets();
+  presets[c.type][name] = c.toJSON();
+  return saveUserPresets(presets);
+}
+
+/**
+ * Remove the user preset from localStorage.
+ *
+ * @param {"Curve3"|"Curve2"} type
+ * @param {string} name
+ * @returns {boolean} Whether the preset is removed.
+ */
+export function removePreset(type, name) {
+  const presets = loadUserPresets();
+  if (!(name in presets[type])) return false;
+
+  delete presets[type][name];
+  return saveUserPresets(presets);
+}
+
+/**
+ * Generate a cross section with the parameters.
+ *
+ * @param {string} name - The name of the generator.
+ * @param {{[key:string]:number}} [values] - The parameters. The default values are used for the missing ones.
+ * @returns {?Curve2} null if the generator is not found.
+ */
+export function generateCurve2(name, values = {}) {
+  const generator = generators[name];
+  if (!generator) {
+    console.error(`the generator(${name}) is not found.`);
+    return null;
+  }
+
+  const args = Object.entries(generator.parameters).map(
+    ([key, [value]]) => values[key] ?? value
+  );
+  return generator.create(...args);
+}
+
+/**
+ * Set GUI to replace a curve of the part with a preset, a generated cross section or an outline imported from SVG, or to save it as a preset.
+ * The target is one of the curves of Tube.parameters, or the part itself if it is a curve.
+ * The generated cross sections are made of ControlPoint2, so they can be edited by hand afterwards.
+ *
+ * @param {GUI} gui
+ * @param {Tube|Curve3|Curve2} p - The selected part.
+ * @param {()=>void} replaceCallback - The callback that is invoked after replacing the curve.
+ * @param {()=>Promise<?string>} openSVGCallback - The callback that picks an SVG file and returns its text, or null if it is canceled.
+ */
+export function setPresetGUI(
+  gui,
+  p,
+  replaceCallback = () => {},
+  openSVGCallback = async () => null
+) {
+  const targets =
+    p instanceof Tube
+      ? Object.keys(p.parameters).filter(
+          (k) => p.parameters[k] instanceof Curve
+        )
+      : [p.type];
+  if (!targets.includes(settings.target)) settings.target = targets[0];
+
+  const obj = {
+    apply: () => {
+      const preset = getPreset(getTarget().type, settings.preset);
+      if (!preset) return;
+      replaceTarget(preset);
+    },
+    generate: () => {
+      if (getTarget().type !== "Curve2") return;
+      const curve = generateCurve2(
+        settings.generator,
+        generatorSettings[settings.generator]
+      );
+      if (!curve) return;
+      replaceTarget(curve);
+    },
+    importSVG: async () => {
+      const text = await openSVGCallback();
+      if (text === null || getTarget().type !== "Curve2") return;
+      let curve;
+      try {
+        curve = parseSVG(text, settings.svgSize, settings.svgFit);
+      } catch (error) {
+        console.error(error);
+        window.alert(`Failed to import the SVG: ${error.message}`);
+        return;
+      }
+      if (!curve) {
+        window.alert("Failed to import the SVG: the path is not found.");
+        return;
+      }
+      replaceTarget(curve);
+    },
+    saveAsPreset: () => {
+      if (!savePreset(settings.name, getTarget())) return;
+      settings.preset = settings.name;
+      updateOptions();
+    },
+    removePreset: () => {
+      removePreset(getTarget().type, settings.preset);
+      updateOptions();
+    },
+  };
+
+  Array.from(gui.children)
+    .filter((v) => v._title === "Presets")
+    .forEach((v) => v.destroy());
+  const folder = gui.addFolder("Presets").close();
+  folder.add(settings, "target", targets).onChange(updateOptions);
+  let cP = folder.add(settings, "preset", []);
+  folder.add(obj, "apply");
+  folder.add(settings, "name");
+  folder.add(obj, "saveAsPreset");
+  const cRP = folder.add(obj, "removePreset");
+  const fG = folder.addFolder("generator");
+  fG.add(settings, "generator", Object.keys(generators)).onChange(
+    updateGenerator
+  );
+  let cGs = [];
+  const fS = folder.addFolder("svg");
+  fS.add(settings, "svgSize", 0.01, 20, 0.01).name("size");
+  fS.add(settings, "svgFit", ["center", "corner"]).name("fit");
+  const cS = fS.add(obj, "importSVG").name("import (.svg)");
+  updateGenerator();
+  updateOptions();
+
+  function getTarget() {
+    return p instanceof Tube ? p.parameters[settings.target] : p;
+  }
+  function replaceTarget(curve) {
+    p instanceof Tube
+      ? p.replaceCurve(settings.target, curve)
+      : replaceCurve(p, curve);
+    replaceCallback();
+  }
+  function updateOptions() {
+    const type = getTarget().type;
+    const names = getPresetNames(type);
+    if (!names.includes(settings.preset)) settings.preset = names[0];
+    cP = cP.options(names).onChange(updateEnabled);
+    updateEnabled();
+  }
+  function updateEnabled() {
+    isUserPreset(getTarget().type, settings.preset)
+      ? cRP.enable()
+      : cRP.disable();
+    // The generators and SVG create only Curve2.
+    cGs.at(-1).enable(getTarget().type === "Curve2");
+    cS.enable(getTarget().type === "Curve2");
+  }
+  function updateGenerator() {
+    cGs.forEach((c) => c.destroy());
+    const values = generatorSettings[settings.generator];
+    cGs = Object.entries(generators[settings.generator].parameters).map(
+      ([key, [, min, max, step]]) => fG.add(values, key, min, max, step)
+    );
+    cGs.push(fG.add(obj, "generate"));
+    updateEnabled();
+  }
+}
+
+/**
+ * Replace the curve with a copy of the preset.
+ * The curve object is kept, so that its group and the secret fields stay bound to it.
+ *
+ * @param {Curve3|Curve2} c
+ * @param {Curve3|Curve2} preset
+ */
+function replaceCurve(c, preset) {
+  c.copy(preset);
+  c._updateCpsGroup(); // Set it in advance using createCpsGroup() in ./src/object-3d/group/curve.js.
+  c._updateGeometry(); // Set it in advance using createGeometry() in ./src/curve/curve.js.
+}
+
+/**
+ * @returns {{[type:string]:{[name:string]:Object}}} The JSON of the user presets for each curve type.
+ */
+function loadUserPresets() {
+  const presets = { Curve3: {}, Curve2: {} };
+  try {
+    const stored = JSON.parse(localStorage.getItem(storageKey));
+    Object.keys(presets).forEach((type) => {
+      Object.assign(presets[type], stored?.[type]);
+    });
+  } catch (error) {
+    console.error(error);
+  }
+  return presets;
+}
+
+/**
+ * @param {{[type:string]:{[name:string]:Object}}} presets
+ * @returns {boolean} Whether the presets are saved.
+ */
+function saveUserPresets(presets) {
+  try {
+    localStorage.setItem(storageKey, JSON.stringify(presets));
+    return true;
+  } catch (error) {
+    console.error(error);
+    return false;
+  }
+}
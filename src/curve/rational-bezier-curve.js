@@ -0,0 +1,133 @@
+import * as THREE from "three";
+
+/**
+ * A rational cubic Bezier curve, which is a segment of the NURBS of Curve (see Curve.updateCurves()).
+ * It works with both THREE.Vector3 and THREE.Vector2 like the other segments of Curve3/Curve2.
+ *
+ * ```js
+ * import { RationalBezierCurve } from "./src/curve/rational-bezier-curve.js";
+ * const curve = new RationalBezierCurve(
+ *   new THREE.Vector2(0, 0),
+ *   new THREE.Vector2(0, 1),
+ *   new THREE.Vector2(1, 1),
+ *   new THREE.Vector2(1, 0),
+ *   [1, 2, 2, 1]
+ * );
+ * ```
+ *
+ * @augments THREE.Curve
+ */
+export class RationalBezierCurve extends THREE.Curve {
+  /**
+   * Constructs a new RationalBezierCurve.
+   *
+   * @param {THREE.Vector3|THREE.Vector2} [v0] - The start point.
+   * @param {THREE.Vector3|THREE.Vector2} [v1] - The first control point.
+   * @param {THREE.Vector3|THREE.Vector2} [v2] - The second control point.
+   * @param {THREE.Vector3|THREE.Vector2} [v3] - The end point.
+   * @param {Array<number>} [weights=[1,1,1,1]] - The weights of v0, v1, v2 and v3.
+   */
+  constructor(
+    v0 = new THREE.Vector3(),
+    v1 = new THREE.Vector3(),
+    v2 = new THREE.Vector3(),
+    v3 = new THREE.Vector3(),
+    weights = [1, 1, 1, 1]
+  ) {
+    super();
+
+    this.type = "RationalBezierCurve";
+
+    this.v0 = v0;
+    this.v1 = v1;
+    this.v2 = v2;
+    this.v3 = v3;
+
+    /**
+     * The weights of v0, v1, v2 and v3.
+     *
+     * @type {Array<number>}
+     */
+    this.weights = weights;
+  }
+
+  /**
+   * Get the point on the curve.
+   *
+   * @param {number} t - A interpolation factor representing a position on the curve. Must be in the range [0,1].
+   * @param {THREE.Vector3|THREE.Vector2} [optionalTarget] - The optional target vector the result is written to.
+   * @return {THREE.Vector3|THREE.Vector2} The position on the curve.
+   */
+  getPoint(t, optionalTarget = this.v0.clone()) {
+    const s = 1 - t;
+    const [b0, b1, b2, b3] = [
+      s * s * s,
+      3 * s * s * t,
+      3 * s * t * t,
+      t * t * t,
+    ].map((b, i) => b * this.weights[i]);
+
+    return optionalTarget
+      .copy(this.v0)
+      .multiplyScalar(b0)
+      .addScaledVector(this.v1, b1)
+      .addScaledVector(this.v2, b2)
+      .addScaledVector(this.v3, b3)
+      .divideScalar(b0 + b1 + b2 + b3);
+  }
+
+  /**
+   * Copies the values of the given curve to this instance.
+   *
+   * @param {RationalBezierCurve} source - The curve to copy.
+   * @return {RationalBezierCurve} A reference to this curve.
+   */
+  copy(source) {
+    super.copy(source);
+
+    // Clone them, since the type of the vectors depends on the source.
+    this.v0 = source.v0.clone();
+    this.v1 = source.v1.clone();
+    this.v2 = source.v2.clone();
+    this.v3 = source.v3.clone();
+    this.weights = [...source.weights];
+
+    return this;
+  }
+
+  /**
+   * Serializes the curve into JSON.
+   *
+   * @return {Object} A JSON object representing the serialized curve.
+   */
+  toJSON() {
+    const data = super.toJSON();
+
+    data.v0 = this.v0.toArray();
+    data.v1 = this.v1.toArray();
+    data.v2 = this.v2.toArray();
+    data.v3 = this.v3.toArray();
+    data.weights = [...this.weights];
+
+    return data;
+  }
+
+  /**
+   * Deserializes the curve from the given JSON.
+   *
+   * @param {Object} json - The JSON holding the serialized curve.
+   * @return {RationalBezierCurve} A reference to this curve.
+   */
+  fromJSON(json) {
+    super.fromJSON(json);
+
+    const Vector = json.v0.length === 2 ? THREE.Vector2 : THREE.Vector3;
+    this.v0 = new Vector().fromArray(json.v0);
+    this.v1 = new Vector().fromArray(json.v1);
+    this.v2 = new Vector().fromArray(json.v2);
+    this.v3 = new Vector().fromArray(json.v3);
+    this.weights = [...json.weights];
+
+    return this;
+  }
+}
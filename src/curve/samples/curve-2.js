@@ -9,7 +9,7 @@ import { ControlPoint2 } from "../control-point-2.js";
  * @param {number} radius
  * @returns {Curve2}
  */
-function createCircleCurve2(radius = 1) {
+export function createCircleCurve2(radius = 1) {
   const K = (4 * (Math.sqrt(2) - 1)) / 3;
   const mulKR = K * radius; // Multiple K by the radius.
   return new Curve2([
@@ -43,6 +43,319 @@ function createCircleCurve2(radius = 1) {
 export const circleCurve2 = createCircleCurve2();
 export const smallCircleCurve2 = createCircleCurve2(0.5);
 
+/**
+ * A cubic Bézier segment given by its start point, its two handles and its end point.
+ * Pass them to createCurve2FromSegments().
+ *
+ * @typedef {[THREE.Vector2,THREE.Vector2,THREE.Vector2,THREE.Vector2]} Segment
+ */
+
+/**
+ * Create a Curve2 from the connected segments.
+ * If it is closed, the first control point is repeated at the end like createCircleCurve2().
+ * Otherwise the outer handles of both ends mirror the inner ones.
+ * The segments whose points are all the same are skipped, and each control point synchronizes
+ * its radius or its angle only if its handles are already so, e.g. a corner keeps its angle when edited.
+ *
+ * @param {Array<Segment>} segments
+ * @param {boolean} [isClosed=true] - Whether the end of the last segment is the start of the first one.
+ * @returns {Curve2}
+ */
+export function createCurve2FromSegments(segments, isClosed = true) {
+  segments = segments.filter((segment) => !isDegenerateSegment(segment));
+  const mirror = (p, v) => p.clone().multiplyScalar(2).sub(v);
+  const createCp = (middle, left, right) => {
+    const leftV = left.clone().sub(middle);
+    const rightV = right.clone().sub(middle);
+    const lL = leftV.length(); // The left length.
+    const rL = rightV.length(); // The right length.
+    const isSyncRadius = Math.abs(lL - rL) <= 1e-6 * Math.max(lL, rL, 1);
+    const isSyncAngle =
+      lL > 0 && rL > 0 && leftV.dot(rightV) / (lL * rL) < -1 + 1e-6;
+    return new ControlPoint2(
+      middle.clone(),
+      left.clone(),
+      right.clone(),
+      isSyncRadius,
+      isSyncAngle
+    );
+  };
+
+  const cps = segments.map(([p0, c1], i) => {
+    const left = i > 0 || isClosed ? segments.at(i - 1)[2] : mirror(p0, c1); // The outer handle of the start.
+    return createCp(p0, left, c1);
+  });
+  if (isClosed) return new Curve2([...cps, cps[0].clone()]);
+
+  const [, , c2, p3] = segments.at(-1);
+  return new Curve2([...cps, createCp(p3, c2, mirror(p3, c2))]);
+}
+
+/**
+ * @param {Segment} segment
+ * @returns {boolean} Whether the points of the segment are all the same.
+ */
+export function isDegenerateSegment([p0, ...ps]) {
+  return ps.every((v) => v.distanceTo(p0) <= 1e-6);
+}
+
+/**
+ * @param {THREE.Vector2} start
+ * @param {THREE.Vector2} end
+ * @returns {Array<Segment>} The segment of the straight line.
+ */
+export function createLineSegments(start, end) {
+  return [
+    [
+      start.clone(),
+      start.clone().lerp(end, 1 / 3),
+      start.clone().lerp(end, 2 / 3),
+      end.clone(),
+    ],
+  ];
+}
+
+/**
+ * Approximate the elliptic arc counterclockwise from the start angle to the end angle.
+ * It is split into the arcs of 90 degrees or less.
+ *
+ * @param {THREE.Vector2} center
+ * @param {number} xRadius
+ * @param {number} yRadius
+ * @param {number} startAngle - The start angle in radians.
+ * @param {number} endAngle - The end angle in radians.
+ * @returns {Array<Segment>}
+ */
+function createArcSegments(center, xRadius, yRadius, startAngle, endAngle) {
+  const count = Math.max(
+    1,
+    Math.ceil((endAngle - startAngle) / (Math.PI / 2) - 1e-9)
+  );
+  const step = (endAngle - startAngle) / count;
+  const K = (4 / 3) * Math.tan(step / 4);
+  const point = (a) =>
+    new THREE.Vector2(
+      center.x + xRadius * Math.cos(a),
+      center.y + yRadius * Math.sin(a)
+    );
+  const tangent = (a) =>
+    new THREE.Vector2(-xRadius * Math.sin(a), yRadius * Math.cos(a));
+
+  return [...Array(count).keys()].map((i) => {
+    const a0 = startAngle + step * i;
+    const a1 = a0 + step;
+    const p0 = point(a0);
+    const p3 = point(a1);
+    return [
+      p0,
+      p0.clone().addScaledVector(tangent(a0), K),
+      p3.clone().addScaledVector(tangent(a1), -K),
+      p3,
+    ];
+  });
+}
+
+/**
+ * Create the segments of the polygon through the points in order.
+ *
+ * @param {Array<THREE.Vector2>} points
+ * @returns {Array<Segment>}
+ */
+function createPolygonSegments(points) {
+  return points.flatMap((p, i) =>
+    createLineSegments(p, points[(i + 1) % points.length])
+  );
+}
+
+/**
+ * Use Curve2 to create an ellipse.
+ *
+ * @param {number} xRadius
+ * @param {number} yRadius
+ * @returns {Curve2}
+ */
+export function createEllipseCurve2(xRadius = 1, yRadius = 0.5) {
+  return createCurve2FromSegments(
+    createArcSegments(
+      new THREE.Vector2(),
+      xRadius,
+      yRadius,
+      -Math.PI / 2,
+      (Math.PI * 3) / 2
+    )
+  );
+}
+
+/**
+ * Use Curve2 to create a regular polygon starting from the bottom.
+ *
+ * @param {number} sides - The number of the sides.
+ * @param {number} radius - The radius of the circumscribed circle.
+ * @returns {Curve2}
+ */
+export function createPolygonCurve2(sides = 6, radius = 1) {
+  sides = Math.max(3, Math.round(sides));
+  const points = [...Array(sides).keys()].map((i) => {
+    const a = -Math.PI / 2 + (Math.PI * 2 * i) / sides;
+    return new THREE.Vector2(radius * Math.cos(a), radius * Math.sin(a));
+  });
+  return createCurve2FromSegments(createPolygonSegments(points));
+}
+
+/**
+ * Use Curve2 to create a rectangle with rounded corners.
+ *
+ * @param {number} width
+ * @param {number} height
+ * @param {number} cornerRadius - It is clamped to half of the shorter side.
+ * @returns {Curve2}
+ */
+export function createRoundedRectangleCurve2(
+  width = 2,
+  height = 1,
+  cornerRadius = 0.25
+) {
+  const hW = width / 2; // Half of the width.
+  const hH = height / 2; // Half of the height.
+  const r = THREE.MathUtils.clamp(cornerRadius, 0, Math.min(hW, hH));
+  const xC = hW - r; // The x of the corner centers.
+  const yC = hH - r; // The y of the corner centers.
+  const v = (x, y) => new THREE.Vector2(x, y);
+  const corner = (x, y, a) =>
+    createArcSegments(v(x, y), r, r, a, a + Math.PI / 2);
+
+  return createCurve2FromSegments([
+    ...createLineSegments(v(0, -hH), v(xC, -hH)),
+    ...corner(xC, -yC, -Math.PI / 2),
+    ...createLineSegments(v(hW, -yC), v(hW, yC)),
+    ...corner(xC, yC, 0),
+    ...createLineSegments(v(xC, hH), v(-xC, hH)),
+    ...corner(-xC, yC, Math.PI / 2),
+    ...createLineSegments(v(-hW, yC), v(-hW, -yC)),
+    ...corner(-xC, -yC, Math.PI),
+    ...createLineSegments(v(-xC, -hH), v(0, -hH)),
+  ]);
+}
+
+/**
+ * Use Curve2 to create a star pointing up.
+ *
+ * @param {number} points - The number of the points.
+ * @param {number} outerRadius - The radius of the points.
+ * @param {number} innerRadius - The radius of the dents between the points.
+ * @returns {Curve2}
+ */
+export function createStarCurve2(
+  points = 5,
+  outerRadius = 1,
+  innerRadius = 0.5
+) {
+  points = Math.max(2, Math.round(points));
+  // It starts from the bottom, which is a point if the number of the points is even.
+  const vertices = [...Array(points * 2).keys()].map((i) => {
+    const k = i + points;
+    const a = Math.PI / 2 + (Math.PI * k) / points;
+    const r = k % 2 === 0 ? outerRadius : innerRadius;
+    return new THREE.Vector2(r * Math.cos(a), r * Math.sin(a));
+  });
+  return createCurve2FromSegments(createPolygonSegments(vertices));
+}
+
+/**
+ * Use Curve2 to create a teardrop pointing up.
+ * It is a circle whose top is pulled to the tip by the tangent lines.
+ *
+ * @param {number} radius - The radius of the round part.
+ * @param {number} length - The distance from the center of the round part to the tip. It is at least the radius.
+ * @returns {Curve2}
+ */
+export function createTeardropCurve2(radius = 0.5, length = 1) {
+  length = Math.max(length, radius);
+  const a = Math.acos(radius / length); // The angle between the tip and a tangent point.
+  const center = new THREE.Vector2();
+  const tip = new THREE.Vector2(0, length);
+  const [right, left] = [Math.PI / 2 - a, Math.PI / 2 + a].map(
+    (v) => new THREE.Vector2(radius * Math.cos(v), radius * Math.sin(v))
+  );
+
+  return createCurve2FromSegments([
+    ...createArcSegments(center, radius, radius, -Math.PI / 2, Math.PI / 2 - a),
+    ...createLineSegments(right, tip),
+    ...createLineSegments(tip, left),
+    ...createArcSegments(
+      center,
+      radius,
+      radius,
+      Math.PI / 2 + a,
+      (Math.PI * 3) / 2
+    ),
+  ]);
+}
+
+/**
+ * Use Curve2 to create a heart.
+ * It is a square standing on its corner with two half circles on its upper sides.
+ *
+ * @param {number} width
+ * @returns {Curve2}
+ */
+export function createHeartCurve2(width = 2) {
+  const d = width / (1 + Math.SQRT2); // The distance from the center of the square to its corners.
+  const r = d / Math.SQRT2; // The radius of the half circles.
+  const y = -(d / 2 + r - d) / 2; // The offset to center the heart vertically.
+  const v = (x, y0) => new THREE.Vector2(x, y0 + y);
+
+  return createCurve2FromSegments([
+    ...createLineSegments(v(0, -d), v(d, 0)),
+    ...createArcSegments(
+      v(d / 2, d / 2),
+      r,
+      r,
+      -Math.PI / 4,
+      (Math.PI * 3) / 4
+    ),
+    ...createArcSegments(
+      v(-d / 2, d / 2),
+      r,
+      r,
+      Math.PI / 4,
+      (Math.PI * 5) / 4
+    ),
+    ...createLineSegments(v(-d, 0), v(0, -d)),
+  ]);
+}
+
+/**
+ * Use Curve2 to create a circle with scalloped (frilled) edges.
+ * Each lobe bulges between two dents on the circle.
+ *
+ * @param {number} lobes - The number of the lobes.
+ * @param {number} radius - The radius of the dents.
+ * @param {number} depth - How far the lobes bulge out of the circle. A negative value makes them bulge in.
+ * @returns {Curve2}
+ */
+export function createScallopCurve2(lobes = 8, radius = 1, depth = 0.2) {
+  lobes = Math.max(3, Math.round(lobes));
+  const step = (Math.PI * 2) / lobes;
+  const cos = Math.cos(step / 2);
+  // The handles point away from the center, and their radius puts the middle of the lobe at radius + depth.
+  const handleRadius = (8 * (radius + depth) - 2 * radius * cos) / (6 * cos);
+  const point = (a, r) => new THREE.Vector2(r * Math.cos(a), r * Math.sin(a));
+
+  return createCurve2FromSegments(
+    [...Array(lobes).keys()].map((i) => {
+      const a0 = -Math.PI / 2 + step * i;
+      const a1 = a0 + step;
+      return [
+        point(a0, radius),
+        point(a0, handleRadius),
+        point(a1, handleRadius),
+        point(a1, radius),
+      ];
+    })
+  );
+}
+
 /**
  * Create a slowly varying Curve2.
  *
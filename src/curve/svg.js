@@ -0,0 +1,196 @@
+import * as THREE from "three";
+
+import { SVGLoader } from "three/addons/loaders/SVGLoader.js";
+import { Curve2 } from "./curve-2.js";
+import {
+  createCurve2FromSegments,
+  createLineSegments,
+  isDegenerateSegment,
+} from "./samples/curve-2.js";
+
+const _v = new THREE.Vector2();
+
+/**
+ * Convert the outline drawn in the SVG to Curve2, e.g. for the cross section or a profile curve like "scaleC".
+ * The largest subpath (by its bounding box) is used as the outline.
+ * y is flipped, since y of SVG points down.
+ * The segments whose points are all the same are skipped.
+ * A closed outline is made counterclockwise like circleCurve2 in ./src/curve/samples/curve-2.js,
+ * since the winding decides the facing of the tube.
+ *
+ * ```js
+ * import { parseSVG } from "./src/curve/svg.js";
+ * const cross = parseSVG(await file.text(), 2, "center");
+ * ```
+ *
+ * @param {string} text - The SVG text.
+ * @param {number} [size=2] - The longer side of the bounding box after fitting.
+ * @param {"center"|"corner"} [fit="center"] - Move the center or the bottom left corner of the bounding box to the origin.
+ * @returns {?Curve2} null if the SVG has no paths with length.
+ */
+export function parseSVG(text, size = 2, fit = "center") {
+  const { paths } = new SVGLoader().parse(text);
+  const outlines = paths
+    .flatMap((p) => p.subPaths)
+    .map((path) => getPathSegments(path))
+    .filter(({ segments }) => segments.length > 0);
+  if (outlines.length === 0) {
+    console.error("the path is not found in the SVG.");
+    return null;
+  }
+
+  const area = ({ segments }) => getBox(segments).getSize(_v).x * _v.y;
+  const outline = outlines.reduce((a, b) => (area(b) > area(a) ? b : a));
+  const segments = fitSegments(outline.segments, size, fit);
+  if (outline.isClosed && getSignedArea(segments) < 0) {
+    segments.reverse().forEach((segment) => segment.reverse());
+  }
+  return createCurve2FromSegments(segments, outline.isClosed);
+}
+
+/**
+ * Convert the curves of the subpath to the segments of createCurve2FromSegments() with y flipped.
+ * Lines and quadratic Bézier curves are raised to cubic ones, and elliptic arcs are approximated by them.
+ *
+ * @param {THREE.Path} path - A subpath parsed by SVGLoader.
+ * @returns {{segments:Array<Segment>,isClosed:boolean}} See Segment in ./src/curve/samples/curve-2.js.
+ */
+export function getPathSegments(path) {
+  const segments = path.curves
+    .flatMap((curve) => {
+      if (curve.isLineCurve) return createLineSegments(curve.v1, curve.v2);
+      if (curve.isQuadraticBezierCurve) {
+        const { v0, v1, v2 } = curve;
+        return [
+          [
+            v0.clone(),
+            v0.clone().lerp(v1, 2 / 3),
+            v2.clone().lerp(v1, 2 / 3),
+            v2.clone(),
+          ],
+        ];
+      }
+      if (curve.isCubicBezierCurve) {
+        return [[curve.v0, curve.v1, curve.v2, curve.v3].map((v) => v.clone())];
+      }
+      if (curve.isEllipseCurve) return createEllipseSegments(curve);
+
+      console.error(`the curve(${curve.type}) is not supported.`);
+      return createLineSegments(curve.getPoint(0), curve.getPoint(1));
+    })
+    .filter((segment) => !isDegenerateSegment(segment));
+  if (segments.length === 0) return { segments, isClosed: false };
+
+  // "Z" closes the subpath with a line unless it ends at the start.
+  const start = segments[0][0];
+  const end = segments.at(-1)[3];
+  if (path.autoClose && end.distanceTo(start) > 1e-6) {
+    segments.push(...createLineSegments(end, start));
+  }
+  const isClosed = path.autoClose || end.distanceTo(start) <= 1e-6;
+
+  segments.flat().forEach((v) => (v.y = -v.y));
+  return { segments, isClosed };
+}
+
+/**
+ * Approximate the elliptic arc by the segments of 90 degrees or less.
+ * The angle is swept in the same way as THREE.EllipseCurve.getPoint().
+ *
+ * @param {THREE.EllipseCurve} curve
+ * @returns {Array<Segment>}
+ */
+function createEllipseSegments(curve) {
+  const { aX, aY, xRadius, yRadius, aStartAngle, aEndAngle, aClockwise } =
+    curve;
+  const rotation = curve.aRotation;
+
+  const twoPi = Math.PI * 2;
+  let delta = aEndAngle - aStartAngle;
+  const samePoints = Math.abs(delta) < Number.EPSILON;
+  while (delta < 0) delta += twoPi;
+  while (delta > twoPi) delta -= twoPi;
+  if (delta < Number.EPSILON) delta = samePoints ? 0 : twoPi;
+  if (aClockwise && !samePoints)
+    delta = delta === twoPi ? -twoPi : delta - twoPi;
+  if (delta === 0) return [];
+
+  const count = Math.ceil(Math.abs(delta) / (Math.PI / 2) - 1e-9);
+  const step = delta / count;
+  const K = (4 / 3) * Math.tan(step / 4);
+  const center = new THREE.Vector2(aX, aY);
+  const point = (a) =>
+    new THREE.Vector2(xRadius * Math.cos(a), yRadius * Math.sin(a))
+      .rotateAround(_v.set(0, 0), rotation)
+      .add(center);
+  const tangent = (a) =>
+    new THREE.Vector2(
+      -xRadius * Math.sin(a),
+      yRadius * Math.cos(a)
+    ).rotateAround(_v.set(0, 0), rotation);
+
+  return [...Array(count).keys()].map((i) => {
+    const a0 = aStartAngle + step * i;
+    const a1 = a0 + step;
+    const p0 = point(a0);
+    const p3 = point(a1);
+    return [
+      p0,
+      p0.clone().addScaledVector(tangent(a0), K),
+      p3.clone().addScaledVector(tangent(a1), -K),
+      p3,
+    ];
+  });
+}
+
+/**
+ * @param {Array<Segment>} segments
+ * @returns {THREE.Box2} The bounding box of the points on the segments.
+ */
+function getBox(segments) {
+  const box = new THREE.Box2();
+  const bezier = new THREE.CubicBezierCurve();
+  segments.forEach(([v0, v1, v2, v3]) => {
+    Object.assign(bezier, { v0, v1, v2, v3 });
+    bezier.getPoints(16).forEach((p) => box.expandByPoint(p));
+  });
+  return box;
+}
+
+/**
+ * @param {Array<Segment>} segments
+ * @returns {number} The signed area of the polygon sampled from the segments. It is positive if they are counterclockwise.
+ */
+function getSignedArea(segments) {
+  const bezier = new THREE.CubicBezierCurve();
+  const points = segments.flatMap(([v0, v1, v2, v3]) => {
+    Object.assign(bezier, { v0, v1, v2, v3 });
+    return bezier.getPoints(16).slice(1);
+  });
+  return (
+    points.reduce((sum, p, i) => {
+      const q = points[(i + 1) % points.length];
+      return sum + p.x * q.y - q.x * p.y;
+    }, 0) / 2
+  );
+}
+
+/**
+ * Scale the segments uniformly so that the longer side of the bounding box is the size, and move them.
+ *
+ * @param {Array<Segment>} segments
+ * @param {number} size
+ * @param {"center"|"corner"} fit - Move the center or the bottom left corner of the bounding box to the origin.
+ * @returns {Array<Segment>} The new segments.
+ */
+function fitSegments(segments, size, fit) {
+  const box = getBox(segments);
+  const boxSize = box.getSize(new THREE.Vector2());
+  const scale = size / (Math.max(boxSize.x, boxSize.y) || 1);
+  const origin =
+    fit === "corner" ? box.min : box.getCenter(new THREE.Vector2());
+
+  return segments.map((segment) =>
+    segment.map((v) => v.clone().sub(origin).multiplyScalar(scale))
+  );
+}
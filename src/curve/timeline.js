@@ -0,0 +1,530 @@
+import * as THREE from "three";
+
+import { GUI } from "lil-gui";
+import { Tube } from "./tube.js";
+import { Curve } from "./curve.js";
+import { Costume } from "./costume.js";
+
+/**
+ * The numeric parameters of Tube that can be keyed.
+ * axisSegments and crossSegments are excluded, because the vertices must not change during the animation.
+ */
+const tubeKeys = [
+  "scaleN",
+  "xScaleN",
+  "yScaleN",
+  "xCurvatureN",
+  "yCurvatureN",
+  "tiltN",
+  "upVector.x",
+  "upVector.y",
+  "upVector.z",
+];
+
+/**
+ * The positions of a control point that can be keyed.
+ * The local handles (e.g. "leftS" and "leftA") are derived from the positions, so they are not keyed.
+ */
+const cpKeys = ["middlePos", "leftPos", "rightPos"];
+
+/**
+ * The values of the tracks before playing, to restore them when the playback stops.
+ * They are kept out of setGUI(), since it is called again when the selected part is changed.
+ *
+ * @type {WeakMap<Timeline,Array<?number>>}
+ */
+const restValues = new WeakMap();
+
+/**
+ * A class for managing the keyframes of the numeric parameters of the parts of a costume.
+ * Each track animates a path from a part, e.g. "parameters.scaleN" or "parameters.axis.cps.0.middlePos.x" of a tube.
+ *
+ * ```js
+ * import { Timeline } from "./src/curve/timeline.js";
+ * const tl = new Timeline();
+ * ```
+ */
+export class Timeline {
+  /**
+   * Constructs a new timeline.
+   *
+   * @param {Array<{part:string,path:string,keys:Array<{time:number,value:number}>}>} [tracks] - The tracks. The keys are sorted by time.
+   */
+  constructor(tracks = []) {
+    this.type = "Timeline";
+
+    /**
+     * The tracks. The keys are sorted by time.
+     *
+     * @type {Array<{part:string,path:string,keys:Array<{time:number,value:number}>}>}
+     */
+    this.tracks = tracks;
+
+    /**
+     * The length of the animation in seconds.
+     *
+     * @type {number}
+     */
+    this.duration = 2;
+
+    /**
+     * The frames per second used to sample the animation for exporting.
+     *
+     * @type {number}
+     */
+    this.fps = 10;
+
+    /**
+     * The current time in seconds.
+     *
+     * @type {number}
+     */
+    this.time = 0;
+
+    /**
+     * Whether to repeat the playback.
+     *
+     * @type {boolean}
+     */
+    this.isLooping = true;
+
+    /**
+     * Whether the animation is playing. It is not saved.
+     *
+     * @type {boolean}
+     */
+    this.isPlaying = false;
+
+    /**
+     * Secret field.
+     * This function is used by stop() in ./src/curve/timeline.js.
+     * Set it in advance using setGUI() in ./src/curve/timeline.js.
+     *
+     * @type {()=>void}
+     */
+    this._updateFromStop = () => {};
+  }
+
+  /**
+   * Get the track of the path of the part.
+   *
+   * @param {string} part - The name of the part.
+   * @param {string} path
+   * @returns {?{part:string,path:string,keys:Array<{time:number,value:number}>}}
+   */
+  getTrack(part, path) {
+    return this.tracks.find((t) => t.part === part && t.path === path) ?? null;
+  }
+
+  /**
+   * Add a key at the time, or replace the key at the same time.
+   *
+   * @param {string} part - The name of the part.
+   * @param {string} path
+   * @param {number} time
+   * @param {number} value
+   */
+  addKey(part, path, time, value) {
+    let track = this.getTrack(part, path);
+    if (!track) {
+      track = { part, path, keys: [] };
+      this.tracks.push(track);
+    }
+    track.keys = track.keys.filter((k) => !isSameTime(k.time, time));
+    track.keys.push({ time, value });
+    track.keys.sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Remove the key at the time. The track without keys is removed.
+   *
+   * @param {string} part - The name of the part.
+   * @param {string} path
+   * @param {number} time
+   */
+  removeKey(part, path, time) {
+    const track = this.getTrack(part, path);
+    if (!track) return;
+    track.keys = track.keys.filter((k) => !isSameTime(k.time, time));
+    if (track.keys.length === 0)
+      this.tracks.splice(this.tracks.indexOf(track), 1);
+  }
+
+  /**
+   * Rename the part of the tracks. Call it when the part is renamed.
+   *
+   * @param {string} name - The old name.
+   * @param {string} newName
+   */
+  renamePart(name, newName) {
+    this.tracks
+      .filter((t) => t.part === name)
+      .forEach((t) => (t.part = newName));
+  }
+
+  /**
+   * Remove the tracks of the part. Call it when the part is removed.
+   *
+   * @param {string} name
+   */
+  removePart(name) {
+    this.tracks = this.tracks.filter((t) => t.part !== name);
+  }
+
+  /**
+   * Get the value of the track at the time.
+   * The keys are interpolated linearly, and the value is held before the first key and after the last key.
+   *
+   * @param {{keys:Array<{time:number,value:number}>}} track
+   * @param {number} time
+   * @returns {number}
+   */
+  getValue(track, time) {
+    const keys = track.keys;
+    const k = keys.findLastIndex((v) => v.time <= time);
+    if (k === -1) return keys[0].value;
+    if (k === keys.length - 1) return keys[k].value;
+
+    const t = (time - keys[k].time) / (keys[k + 1].time - keys[k].time);
+    return THREE.MathUtils.lerp(keys[k].value, keys[k + 1].value, t);
+  }
+
+  /**
+   * Set the values of the tracks at the time to the parts and update their geometries.
+   *
+   * @param {Costume} co
+   * @param {number} time
+   * @param {boolean} [isSync=false] - Whether to generate the tube geometries synchronously, e.g. for exporting.
+   */
+  apply(co, time, isSync = false) {
+    this.time = time;
+    this.setValues(
+      co,
+      this.tracks.map((t) => this.getValue(t, time)),
+      isSync
+    );
+  }
+
+  /**
+   * Get the current values of the tracks from the parts, e.g. to restore them by setValues().
+   *
+   * @param {Costume} co
+   * @returns {Array<?number>} The values in the order of this.tracks. null if the path is not found.
+   */
+  getValues(co) {
+    return this.tracks.map((t) => {
+      const target = resolvePath(co, t);
+      return target ? target.object[target.key] : null;
+    });
+  }
+
+  /**
+   * Set the values to the paths of the tracks and update the geometries of the changed parts.
+   *
+   * @param {Costume} co
+   * @param {Array<?number>} values - The values in the order of this.tracks. null is skipped.
+   * @param {boolean} [isSync=false] - Whether to generate the tube geometries synchronously.
+   */
+  setValues(co, values, isSync = false) {
+    const cps = new Set();
+    const curves = new Set();
+    const tubes = new Set();
+
+    // The middle points are set first, because updateFromMiddlePos() moves the handles.
+    const order = this.tracks
+      .map((t, i) => i)
+      .sort(
+        (a, b) => getCpKeyOrder(this.tracks[a]) - getCpKeyOrder(this.tracks[b])
+      );
+    order.forEach((i) => {
+      const target = resolvePath(co, this.tracks[i]);
+      if (!target || values[i] === null) return;
+
+      target.object[target.key] = values[i];
+      if (target.cp) {
+        target.cp.updateFrom[target.cpKey]();
+        cps.add(target.cp);
+      }
+      if (target.curve) curves.add(target.curve);
+      if (target.tube) tubes.add(target.tube);
+    });
+
+    // These functions are set in advance using createCostumeGroup() in ./src/object-3d/group/costume.js.
+    cps.forEach((cp) => cp._updateGeometry());
+    curves.forEach((c) => {
+      c.updateCurves();
+      c._updateGeometry();
+    });
+    tubes.forEach((t) => t._updateGeometry(isSync));
+  }
+
+  /**
+   * Advance the time while playing.
+   *
+   * @param {Costume} co
+   * @param {number} delta - The elapsed time in seconds.
+   */
+  update(co, delta) {
+    if (!this.isPlaying) return;
+
+    let time = this.time + delta;
+    const isEnd = !this.isLooping && time >= this.duration;
+    if (time > this.duration) {
+      time = this.isLooping ? time % this.duration : this.duration;
+    }
+    this.apply(co, time);
+    if (isEnd) this.stop();
+  }
+
+  /**
+   * Stop the playback, restore the values before playing and show them in the GUI.
+   */
+  stop() {
+    this.isPlaying = false;
+    this._updateFromStop(); // Set it in advance using setGUI() in ./src/curve/timeline.js.
+  }
+
+  /**
+   * Set GUI.
+   * The keys are added to the paths of the selected part.
+   *
+   * @param {GUI} gui
+   * @param {Costume} co
+   * @param {()=>void} updateCallback - The callback that is invoked after updating keys.
+   */
+  setGUI(gui, co, updateCallback = () => {}) {
+    const tl = this;
+    const paths = getAnimatablePaths(co.selected.c);
+
+    const obj = {
+      path: paths[0] ?? "",
+      addKey: () => {
+        const target = resolvePath(co, {
+          part: co.selected.name,
+          path: obj.path,
+        });
+        if (!target) return;
+        tl.addKey(
+          co.selected.name,
+          obj.path,
+          tl.time,
+          target.object[target.key]
+        );
+        updateKeys();
+        updateCallback();
+      },
+      removeKey: () => {
+        tl.removeKey(co.selected.name, obj.path, tl.time);
+        updateKeys();
+        updateCallback();
+      },
+      keys: "",
+    };
+
+    Array.from(gui.children)
+      .filter((v) => v._title === "Timeline")
+      .forEach((v) => v.destroy());
+    const folder = gui.addFolder("Timeline").close();
+    folder.add(tl, "isPlaying").name("play").listen().onChange(play);
+    const cT = folder.add(tl, "time", 0, tl.duration, 0.01).listen();
+    cT.onChange(() => {
+      tl.apply(co, tl.time);
+      refresh();
+    });
+    folder
+      .add(tl, "duration")
+      .min(0.01)
+      .step(0.01)
+      .onChange((v) => cT.max(v));
+    folder.add(tl, "fps").min(1).step(1).name("fps (export)");
+    folder.add(tl, "isLooping");
+    folder.add(obj, "path", paths).onChange(updateKeys);
+    folder.add(obj, "addKey");
+    folder.add(obj, "removeKey");
+    folder.add(obj, "keys").disable();
+    updateKeys();
+
+    function updateKeys() {
+      const track = tl.getTrack(co.selected.name, obj.path);
+      obj.keys = track
+        ? track.keys.map((k) => k.time.toFixed(2)).join(", ")
+        : "";
+      folder.controllers.forEach((c) => c.updateDisplay());
+    }
+    function play() {
+      if (!tl.isPlaying) {
+        stop();
+        return;
+      }
+      // Play again from the start after it has stopped at the end.
+      if (!tl.isLooping && tl.time >= tl.duration) tl.time = 0;
+      restValues.set(tl, tl.getValues(co));
+      refresh();
+    }
+    function stop() {
+      if (restValues.has(tl)) tl.setValues(co, restValues.get(tl));
+      restValues.delete(tl);
+      refresh();
+    }
+    function refresh() {
+      // Show the applied values in the GUI of the parts.
+      gui.controllersRecursive().forEach((c) => c.updateDisplay());
+    }
+
+    // This function is used by stop() in ./src/curve/timeline.js.
+    tl._updateFromStop = stop;
+  }
+
+  /**
+   * Returns a new timeline with copied values from this instance.
+   *
+   * @return {Timeline} A clone of this instance.
+   */
+  clone() {
+    return new this.constructor().copy(this);
+  }
+
+  /**
+   * Copies the values of the given timeline to this instance.
+   *
+   * @param {Timeline} source - The timeline to copy.
+   * @returns {Timeline} A reference to this timeline.
+   */
+  copy(source) {
+    this.tracks = source.tracks.map((t) => ({
+      part: t.part,
+      path: t.path,
+      keys: t.keys.map((k) => ({ ...k })),
+    }));
+    this.duration = source.duration;
+    this.fps = source.fps;
+    this.time = source.time;
+    this.isLooping = source.isLooping;
+
+    return this;
+  }
+
+  /**
+   * Serializes the timeline into JSON.
+   *
+   * @return {Object} A JSON object representing the serialized timeline.
+   */
+  toJSON() {
+    const data = {};
+
+    data.tracks = this.tracks.map((t) => ({
+      part: t.part,
+      path: t.path,
+      keys: t.keys.map((k) => [k.time, k.value]),
+    }));
+    data.duration = this.duration;
+    data.fps = this.fps;
+    data.time = this.time;
+    data.isLooping = this.isLooping;
+
+    return data;
+  }
+
+  /**
+   * Deserializes the timeline from the given JSON.
+   *
+   * @param {Object} json - The JSON holding the serialized timeline.
+   * @return {Timeline} A reference to this timeline.
+   */
+  fromJSON(json) {
+    this.tracks = json.tracks.map((t) => ({
+      part: t.part,
+      path: t.path,
+      keys: t.keys.map(([time, value]) => ({ time, value })),
+    }));
+    this.duration = json.duration;
+    this.fps = json.fps;
+    this.time = json.time;
+    this.isLooping = json.isLooping;
+    this.isPlaying = false;
+
+    return this;
+  }
+}
+
+/**
+ * Get the paths that can be keyed in the part.
+ *
+ * @param {Tube|Curve} c - The part.
+ * @returns {Array<string>}
+ */
+export function getAnimatablePaths(c) {
+  if (c instanceof Tube) {
+    const p = c.parameters;
+    return [
+      ...tubeKeys.map((k) => `parameters.${k}`),
+      ...Object.keys(p)
+        .filter((k) => p[k] instanceof Curve)
+        .flatMap((k) => getCurvePaths(p[k], `parameters.${k}.`)),
+    ];
+  }
+  return getCurvePaths(c, "");
+}
+
+/**
+ * @param {Curve} c
+ * @param {string} prefix
+ * @returns {Array<string>}
+ */
+function getCurvePaths(c, prefix) {
+  return c.cps.flatMap((cp, i) =>
+    cpKeys.flatMap((k) =>
+      ["x", "y", "z"]
+        .filter((axis) => axis in cp[k])
+        .map((axis) => `${prefix}cps.${i}.${k}.${axis}`)
+    )
+  );
+}
+
+/**
+ * Find the object and the key of the path, with the tube, the curve and the control point that need updating.
+ *
+ * @param {Costume} co
+ * @param {{part:string,path:string}} track
+ * @returns {?{object:Object,key:string,tube?:Tube,curve?:Curve,cp?:Object,cpKey?:string}} null if the path is not found.
+ */
+function resolvePath(co, track) {
+  const part = co.parts.find((p) => p.name === track.part);
+  if (!part) return null;
+
+  const keys = track.path.split(".");
+  const target = { object: part.c };
+  for (let i = 0; i < keys.length - 1; i++) {
+    const o = target.object;
+    if (o instanceof Tube) target.tube = o;
+    if (o instanceof Curve) target.curve = o;
+    if (o.updateFrom) {
+      target.cp = o;
+      target.cpKey = keys[i];
+    }
+    target.object = o[keys[i]];
+    if (typeof target.object !== "object" || target.object === null) {
+      return null;
+    }
+  }
+  target.key = keys[keys.length - 1];
+
+  return typeof target.object[target.key] === "number" ? target : null;
+}
+
+/**
+ * @param {{path:string}} track
+ * @returns {number} 0 for the middle points and 1 for the others.
+ */
+function getCpKeyOrder(track) {
+  return track.path.includes(".middlePos.") ? 0 : 1;
+}
+
+/**
+ * @param {number} a
+ * @param {number} b
+ * @returns {boolean} Whether the times are the same within 1ms.
+ */
+function isSameTime(a, b) {
+  return Math.abs(a - b) < 0.001;
+}
@@ -1,7 +1,15 @@
 import * as THREE from "three";
 
 import { TubeGeometry } from "../geometry/tube.js";
+import {
+  workerThreshold,
+  canUseWorker,
+  requestTubeBuffers,
+  createGeometriesFromBuffers,
+} from "../geometry/tube-worker.js";
 import { VertexNormalsHelper } from "three/addons/helpers/VertexNormalsHelper.js";
+import { createMirroredGeometry, getMirrorMatrix } from "../geometry/mirror.js";
+import { createEmptyGeometry } from "../geometry/empty.js";
 import { Curve } from "./curve.js";
 import { Curve3 } from "./curve-3.js";
 import { Curve2 } from "./curve-2.js";
@@ -21,6 +29,8 @@ export class Tube {
    * @param {Object} parameters - The Parameters for TubeGeometry.
    */
   constructor(parameters = {}) {
+    this.type = "Tube";
+
     /**
      * The Parameters for TubeGeometry.
      *
@@ -28,14 +38,46 @@ export class Tube {
      */
     this.parameters = parameters;
 
+    /**
+     * Whether to show the mirrored twin. It is exported as real geometry.
+     * The cps of its axis are shown reflected, and they are edited through the axis (see updateMirroredAxis()).
+     *
+     * @type {boolean}
+     */
+    this.isMirrored = false;
+
+    /**
+     * The plane across which the twin is mirrored. "yz" is the sagittal plane of the body.
+     *
+     * @type {"yz"|"zx"|"xy"}
+     */
+    this.mirrorPlane = "yz";
+
+    /**
+     * The comma-separated names of the bones of the base model that the tube deforms with, e.g. "leftUpperArm, leftLowerArm".
+     * An empty string means that the tube is not bound.
+     *
+     * @type {string}
+     */
+    this.bindBones = "";
+
     /**
      * Secret field.
      * This function is used by setGUI() in ./src/curve/tube.js.
      * Set it in advance using createGeometry() in ./src/curve/tube.js.
      *
-     * @type {()=>void}
+     * @type {(isSync?:boolean)=>void}
      */
     this._updateGeometry = () => {};
+
+    /**
+     * Secret field.
+     * This function is used by createGeometry() in ./src/curve/tube.js.
+     * Set it in advance using createTubeGroup() in ./src/object-3d/group/tube.js.
+     *
+     * @type {()=>void}
+     */
+    this._updateMirroredAxis = () => {};
   }
 
   /**
@@ -47,8 +89,32 @@ export class Tube {
     const t = this;
     const p = t.parameters;
 
+    let version = 0; // Used to ignore the stale results of the worker.
+
     // This function is used by setGUI() in ./src/curve/tube.js.
-    (t._updateGeometry = () => {
+    // The first geometry is generated synchronously, and the large ones after that are generated in the worker.
+    (t._updateGeometry = (isSync = false) => {
+      const v = ++version;
+      t._updateMirroredAxis(); // Set it in advance using createTubeGroup() in ./src/object-3d/group/tube.js.
+
+      if (!isSync && canUseWorker() && t.isLarge) {
+        const json = t.toJSON();
+        requestTubeBuffers(t, json)
+          .then((buffers) => {
+            if (!buffers || v !== version) return;
+            const { geometry, wireframe } =
+              createGeometriesFromBuffers(buffers);
+            geometry.type = "TubeGeometry";
+            geometry.parameters = new Tube().fromJSON(json).parameters;
+            setGeometries(geometry, wireframe);
+          })
+          .catch((error) => {
+            console.error(error);
+            if (v === version) t._updateGeometry(true);
+          });
+        return;
+      }
+
       const geometry =
         Object.keys(p).length !== 0
           ? new TubeGeometry(
@@ -68,28 +134,103 @@ export class Tube {
               p.xCurvatureC,
               p.yCurvatureC,
               p.tiltC,
-              p.curvatureOrder
+              p.curvatureOrder,
+              p.startCap,
+              p.endCap,
+              p.frameMode,
+              p.upVector,
+              p.profileSampling
             )
           : new TubeGeometry();
 
       Object.assign(p, geometry.parameters);
 
-      group.children[0].geometry.dispose();
-      group.children[1].geometry.dispose();
+      setGeometries(geometry, new THREE.WireframeGeometry(geometry));
+    })(true);
+
+    /**
+     * @param {THREE.BufferGeometry} geometry
+     * @param {THREE.BufferGeometry} wireframe
+     */
+    function setGeometries(geometry, wireframe) {
+      group.children.slice(0, 4).forEach((v) => v.geometry.dispose());
 
-      group.children[0].geometry = new THREE.WireframeGeometry(geometry);
+      group.children[0].geometry = wireframe;
       group.children[1].geometry = geometry;
 
+      // The mirrored twin.
+      group.children[2].geometry = t.isMirrored
+        ? createMirroredGeometry(wireframe, t.mirrorPlane)
+        : createEmptyGeometry();
+      group.children[3].geometry = t.isMirrored
+        ? createMirroredGeometry(geometry, t.mirrorPlane)
+        : createEmptyGeometry();
+      group.children[2].visible = t.isMirrored;
+      group.children[3].visible = t.isMirrored;
+
       // Add VertexNormalsHelper for debugging.
-      if (group.children[2]) {
-        group.children[2].dispose();
+      if (group.children[4]) {
+        group.children[4].dispose();
       }
-      group.children[2] = new VertexNormalsHelper(
+      group.children[4] = new VertexNormalsHelper(
         group.children[1],
         0.05,
         0xff0000
       );
-    })();
+    }
+  }
+
+  /**
+   * Copy the axis reflected across this.mirrorPlane to the curve, which is the axis of the mirrored twin.
+   * The handles of the cps are reflected too. The cps of the curve are kept if the number of them is not changed.
+   * The curve has no cps if this.isMirrored is false.
+   *
+   * @param {Curve3} mirrored
+   * @returns {boolean} Whether the number of the cps is changed.
+   */
+  updateMirroredAxis(mirrored) {
+    const axis = this.parameters.axis;
+    const cps = this.isMirrored && axis ? axis.cps : [];
+    const isCpsLengthChanged = mirrored.cps.length !== cps.length;
+    const matrix = getMirrorMatrix(this.mirrorPlane);
+
+    mirrored.cps = cps.map((source, i) => {
+      const cp = (mirrored.cps[i] ?? new mirrored.cpClass()).copy(source);
+      cp.getPoints().forEach((v) => v.applyMatrix4(matrix));
+      cp.updateFromLeftPos();
+      cp.updateFromRightPos();
+      return cp;
+    });
+    mirrored.isClosed = axis?.isClosed ?? false;
+    mirrored.interpolation = axis?.interpolation ?? "bezier";
+    mirrored.updateCurves();
+
+    return isCpsLengthChanged;
+  }
+
+  /**
+   * Whether the geometry is large enough to be generated in the worker.
+   *
+   * @return {boolean}
+   */
+  get isLarge() {
+    const p = this.parameters;
+    return p.axisSegments * p.crossSegments > workerThreshold;
+  }
+
+  /**
+   * Replace the curve of the parameters with a copy of the given curve, e.g. a preset.
+   * The curve object is kept, so that its group and the secret fields stay bound to it.
+   *
+   * @param {string} key - The key of the curve in this.parameters, e.g. "cross".
+   * @param {Curve3|Curve2} curve - The curve of the same type.
+   */
+  replaceCurve(key, curve) {
+    const c = this.parameters[key];
+    c.copy(curve);
+    c._updateCpsGroup(); // Set it in advance using createCpsGroup() in ./src/object-3d/group/curve.js.
+    c._updateGeometry(); // Set it in advance using createGeometry() in ./src/curve/curve.js.
+    this._updateGeometry(); // Set it in advance using createGeometry() in ./src/curve/tube.js.
   }
 
   /**
@@ -106,7 +247,7 @@ export class Tube {
       .forEach((v) => v.destroy());
     const folder = gui.addFolder("Tube");
     p.axis.setGUI(folder, "axis", update, true);
-    p.cross.setGUI(folder, "cross", update, true);
+    p.cross.setGUI(folder, "cross", update, true, false);
     folder.add(p, "axisSegments").min(1).step(1).onChange(update);
     folder.add(p, "crossSegments").min(3).step(1).onChange(update);
     folder.add(p, "scaleN").min(0).step(0.01).onChange(update);
@@ -115,13 +256,27 @@ export class Tube {
     folder.add(p, "xCurvatureN").step(0.01).onChange(update);
     folder.add(p, "yCurvatureN").step(0.01).onChange(update);
     folder.add(p, "tiltN").step(1).onChange(update);
-    p.scaleC.setGUI(folder, "scaleC", update, true);
-    p.xScaleC.setGUI(folder, "xScaleC", update, true);
-    p.yScaleC.setGUI(folder, "yScaleC", update, true);
-    p.xCurvatureC.setGUI(folder, "xCurvatureC", update, true);
-    p.yCurvatureC.setGUI(folder, "yCurvatureC", update, true);
-    p.tiltC.setGUI(folder, "tiltC", update, true);
+    p.scaleC.setGUI(folder, "scaleC", update, true, false);
+    p.xScaleC.setGUI(folder, "xScaleC", update, true, false);
+    p.yScaleC.setGUI(folder, "yScaleC", update, true, false);
+    p.xCurvatureC.setGUI(folder, "xCurvatureC", update, true, false);
+    p.yCurvatureC.setGUI(folder, "yCurvatureC", update, true, false);
+    p.tiltC.setGUI(folder, "tiltC", update, true, false);
+    folder.add(p, "profileSampling", ["arcLength", "x"]).onChange(update);
     folder.add(p, "curvatureOrder", ["xy", "yx"]).onChange(update);
+    folder
+      .add(p, "startCap", ["none", "flat", "round", "point"])
+      .onChange(update);
+    folder
+      .add(p, "endCap", ["none", "flat", "round", "point"])
+      .onChange(update);
+    folder.add(p, "frameMode", ["frenet", "rmf", "up"]).onChange(update);
+    folder.add(t, "isMirrored").onChange(update);
+    folder.add(t, "mirrorPlane", ["yz", "zx", "xy"]).onChange(update);
+    folder.add(t, "bindBones");
+    folder.add(p.upVector, "x").name("upVector.x").step(0.01).onChange(update);
+    folder.add(p.upVector, "y").name("upVector.y").step(0.01).onChange(update);
+    folder.add(p.upVector, "z").name("upVector.z").step(0.01).onChange(update);
 
     function update() {
       t._updateGeometry(); // Set it in advance using createGeometry() in ./src/curve/tube.js.
@@ -145,9 +300,13 @@ export class Tube {
    */
   copy(source) {
     this.parameters = Object.assign({}, source.parameters);
+    this.isMirrored = source.isMirrored;
+    this.mirrorPlane = source.mirrorPlane;
+    this.bindBones = source.bindBones;
 
     Object.entries(source.parameters).forEach(([k, v]) => {
       if (v instanceof Curve) this.parameters[k] = v.clone();
+      if (v instanceof THREE.Vector3) this.parameters[k] = v.clone();
     });
 
     return this;
@@ -163,8 +322,13 @@ export class Tube {
 
     Object.entries(this.parameters).forEach(([k, v]) => {
       if (v instanceof Curve) data[k] = v.toJSON();
+      if (v instanceof THREE.Vector3) data[k] = v.toArray();
     });
 
+    data.isMirrored = this.isMirrored;
+    data.mirrorPlane = this.mirrorPlane;
+    data.bindBones = this.bindBones;
+
     return data;
   }
 
@@ -194,6 +358,17 @@ export class Tube {
     p.yCurvatureC = (p.yCurvatureC ?? new Curve2()).fromJSON(json.yCurvatureC);
     p.tiltC = (p.tiltC ?? new Curve2()).fromJSON(json.tiltC);
     p.curvatureOrder = json.curvatureOrder;
+    p.startCap = json.startCap ?? "none";
+    p.endCap = json.endCap ?? "none";
+    p.frameMode = json.frameMode ?? "frenet";
+    p.upVector = (p.upVector ?? new THREE.Vector3()).fromArray(
+      json.upVector ?? [0, 1, 0]
+    );
+    p.profileSampling = json.profileSampling ?? "arcLength";
+
+    this.isMirrored = json.isMirrored ?? false;
+    this.mirrorPlane = json.mirrorPlane ?? "yz";
+    this.bindBones = json.bindBones ?? "";
 
     return this;
   }
@@ -1,16 +1,32 @@
 import * as THREE from "three";
 
 import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js";
+import { OBJLoader } from "three/addons/loaders/OBJLoader.js";
 
 /**
- * @return {THREE.BufferGeometry}
+ * The URL of the default base model.
  */
-export async function loadBaseGeometry() {
-  const loader = new GLTFLoader();
-  const gltf = await loader
-    .loadAsync("../../models/base1-22.glb")
+export const defaultBaseUrl = "../../models/base1-22.glb";
+
+/**
+ * The file extensions of the base models that can be loaded.
+ */
+export const baseExtensions = [".glb", ".gltf", ".vrm", ".obj"];
+
+/**
+ * Load the base model. VRM is loaded as plain glTF.
+ *
+ * @param {string} url
+ * @param {string} [fileName=url] - The file name used to choose the loader, e.g. for blob URLs.
+ * @return {Promise<?THREE.Object3D>} The model, or null if it fails.
+ */
+export async function loadBaseModel(url, fileName = url) {
+  const isOBJ = fileName.toLowerCase().endsWith(".obj");
+  const loader = isOBJ ? new OBJLoader() : new GLTFLoader();
+  const result = await loader
+    .loadAsync(url)
     .catch((error) => console.error(error));
-  if (!gltf) return null;
+  if (!result) return null;
 
-  return gltf.scene.children[0].geometry;
+  return isOBJ ? result : result.scene;
 }
@@ -0,0 +1,45 @@
+import * as THREE from "three";
+
+/**
+ * Get the matrix that reflects across the plane.
+ *
+ * @param {"yz"|"zx"|"xy"} plane
+ * @return {THREE.Matrix4}
+ */
+export function getMirrorMatrix(plane) {
+  switch (plane) {
+    case "zx":
+      return new THREE.Matrix4().makeScale(1, -1, 1);
+    case "xy":
+      return new THREE.Matrix4().makeScale(1, 1, -1);
+    default:
+      return new THREE.Matrix4().makeScale(-1, 1, 1);
+  }
+}
+
+/**
+ * Create the geometry reflected across the plane.
+ * The winding of the faces is flipped so that the front faces stay outside.
+ *
+ * @param {THREE.BufferGeometry} geometry
+ * @param {"yz"|"zx"|"xy"} plane
+ * @return {THREE.BufferGeometry}
+ */
+export function createMirroredGeometry(geometry, plane) {
+  const mirrored = new THREE.BufferGeometry().copy(geometry);
+  mirrored.type = geometry.type;
+  if (geometry.parameters) mirrored.parameters = geometry.parameters;
+
+  mirrored.applyMatrix4(getMirrorMatrix(plane));
+
+  const index = mirrored.getIndex();
+  if (index) {
+    for (let i = 0; i < index.count; i += 3) {
+      const b = index.getX(i + 1);
+      index.setX(i + 1, index.getX(i + 2));
+      index.setX(i + 2, b);
+    }
+  }
+
+  return mirrored;
+}
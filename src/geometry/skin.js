@@ -0,0 +1,91 @@
+import * as THREE from "three";
+
+import { TubeBaseGeometry, getCapSegments } from "./tube-base.js";
+
+/**
+ * Set the skin weights of the tube geometry along the axis parameter u (see generateSegment() in ./src/geometry/tube-base.js).
+ * Each bone is placed at its u, and every vertex is weighted linearly between the two bones around its u.
+ * The vertices before the first bone and after the last one follow them entirely.
+ *
+ * @param {THREE.BufferGeometry} geometry - The tube geometry or its copy, e.g. by createMirroredGeometry().
+ * @param {Object} parameters - The parameters of TubeBaseGeometry. The copies of the geometry don't always have them.
+ * @param {Array<number>} boneUs - The u of each bone in the order of the skeleton.
+ */
+export function setSkinAttributes(geometry, parameters, boneUs) {
+  const { axisSegments, crossSegments, startCap } = parameters;
+  const closed = parameters.axis.isClosed === true;
+
+  // The vertices are the side (u = uv.x), the start cap (u = 0) and the end cap (u = 1) in this order.
+  const sideCount = (axisSegments + 1) * (crossSegments + 1);
+  const startCount =
+    closed || startCap === "none"
+      ? 0
+      : (getCapSegments(startCap, crossSegments) + 1) * (crossSegments + 1);
+  const uv = geometry.getAttribute("uv");
+
+  const order = boneUs.map((_, i) => i).sort((a, b) => boneUs[a] - boneUs[b]);
+  const us = order.map((i) => boneUs[i]);
+
+  const count = geometry.getAttribute("position").count;
+  const skinIndices = new Uint16Array(count * 4);
+  const skinWeights = new Float32Array(count * 4);
+  for (let v = 0; v < count; v++) {
+    const u = v < sideCount ? uv.getX(v) : v < sideCount + startCount ? 0 : 1;
+
+    const k = us.findLastIndex((w) => w <= u);
+    if (k === -1 || k === us.length - 1) {
+      skinIndices[v * 4] = order[Math.max(k, 0)];
+      skinWeights[v * 4] = 1;
+      continue;
+    }
+
+    const t = (u - us[k]) / (us[k + 1] - us[k] || 1);
+    skinIndices[v * 4] = order[k];
+    skinIndices[v * 4 + 1] = order[k + 1];
+    skinWeights[v * 4] = 1 - t;
+    skinWeights[v * 4 + 1] = t;
+  }
+
+  geometry.setAttribute(
+    "skinIndex",
+    new THREE.Uint16BufferAttribute(skinIndices, 4)
+  );
+  geometry.setAttribute(
+    "skinWeight",
+    new THREE.Float32BufferAttribute(skinWeights, 4)
+  );
+}
+
+/**
+ * Get the u of the cross section whose center is the nearest to the point.
+ *
+ * @param {THREE.BufferGeometry} geometry - The tube geometry or its copy.
+ * @param {Object} parameters - The parameters of TubeBaseGeometry.
+ * @param {THREE.Vector3} point - The point in the coordinates of the geometry.
+ * @return {number}
+ */
+export function getNearestU(geometry, parameters, point) {
+  const { axisSegments, crossSegments } = parameters;
+  const position = geometry.getAttribute("position");
+
+  const center = new THREE.Vector3();
+  const v = new THREE.Vector3();
+  let nearest = 0;
+  let nearestDistanceSq = Infinity;
+  for (let i = 0; i <= axisSegments; i++) {
+    // The last point is skipped, because it duplicates the first one of a closed cross section.
+    center.set(0, 0, 0);
+    for (let j = 0; j < crossSegments; j++) {
+      center.add(v.fromBufferAttribute(position, (crossSegments + 1) * i + j));
+    }
+    center.divideScalar(crossSegments);
+
+    const distanceSq = center.distanceToSquared(point);
+    if (distanceSq < nearestDistanceSq) {
+      nearestDistanceSq = distanceSq;
+      nearest = i;
+    }
+  }
+
+  return nearest / axisSegments;
+}
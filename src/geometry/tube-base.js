@@ -1,5 +1,6 @@
 import * as THREE from "three";
 
+import { computeFrames } from "../math/frames.js";
 import { constant0Curve3 } from "../curve/samples/curve-3.js";
 import {
   smallCircleCurve2,
@@ -23,7 +24,7 @@ import {
  * const xCurvatureC = constant0Curve2.clone();
  * const yCurvatureC = constant0Curve2.clone();
  * const tiltC = constant0Curve2.clone();
- * const geometry = new TubeBaseGeometry( axis, cross, 4, 8, 1, 1, 1, 0, 0, 0, scaleC, xScaleC, yScaleC, xCurvatureC, yCurvatureC, tiltC, "xy" );
+ * const geometry = new TubeBaseGeometry( axis, cross, 4, 8, 1, 1, 1, 0, 0, 0, scaleC, xScaleC, yScaleC, xCurvatureC, yCurvatureC, tiltC, "xy", "none", "none", "frenet" );
  * const material = new THREE.MeshBasicMaterial( { color: 0x00ff00 } );
  * const mesh = new THREE.Mesh( geometry, material );
  * scene.add( mesh );
@@ -52,6 +53,11 @@ export class TubeBaseGeometry extends THREE.BufferGeometry {
    * @param {THREE.Curve<THREE.Vector2>} [yCurvatureC] - The curvature of the cross section in the y direction. Only the y component is used for the curvature.
    * @param {THREE.Curve<THREE.Vector2>} [tiltC] - The circumferential inclination angle of the cross section (in degrees). Only the y component is used for the angle.
    * @param {"xy"|"yx"} [curvatureOrder] - The order in which curvature is applied. "xy" is x to y. "yx" is y to x.
+   * @param {"none"|"flat"|"round"|"point"} [startCap="none"] - The cap of the first cross section. It is ignored if the axis is closed.
+   * @param {"none"|"flat"|"round"|"point"} [endCap="none"] - The cap of the last cross section. It is ignored if the axis is closed.
+   * @param {"frenet"|"rmf"|"up"} [frameMode="frenet"] - How to compute the frames of the axis. "rmf" is the rotation-minimizing frames. "up" keeps the y direction of the cross section close to upVector.
+   * @param {THREE.Vector3} [upVector] - The up vector used if frameMode is "up".
+   * @param {"arcLength"|"x"} [profileSampling="arcLength"] - How to sample the profile curves (scaleC, ..., tiltC) along the axis. See getProfilePoint().
    */
   constructor(
     axis = constant0Curve3.clone(),
@@ -70,7 +76,12 @@ export class TubeBaseGeometry extends THREE.BufferGeometry {
     xCurvatureC = constant0Curve2.clone(),
     yCurvatureC = constant0Curve2.clone(),
     tiltC = constant0Curve2.clone(),
-    curvatureOrder = "xy"
+    curvatureOrder = "xy",
+    startCap = "none",
+    endCap = "none",
+    frameMode = "frenet",
+    upVector = new THREE.Vector3(0, 1, 0),
+    profileSampling = "arcLength"
   ) {
     super();
 
@@ -101,6 +112,11 @@ export class TubeBaseGeometry extends THREE.BufferGeometry {
       yCurvatureC: yCurvatureC,
       tiltC: tiltC,
       curvatureOrder: curvatureOrder,
+      startCap: startCap,
+      endCap: endCap,
+      frameMode: frameMode,
+      upVector: upVector,
+      profileSampling: profileSampling,
     };
 
     cross.getTangentAt = function (u, optionalTarget) {
@@ -109,7 +125,22 @@ export class TubeBaseGeometry extends THREE.BufferGeometry {
       return new THREE.Vector3(p.x, p.y, 0); // Change from Vector2 to Vector3 before computeFrenetFrames().
     };
 
-    const axisFrames = axis.computeFrenetFrames(axisSegments, false);
+    // A closed axis (see Curve.isClosed) makes a torus-like tube, whose frames are continuous at the seam.
+    const closed = axis.isClosed === true;
+
+    const axisFrames = computeFrames(
+      axis,
+      axisSegments,
+      closed,
+      frameMode,
+      upVector
+    );
+    if (closed) {
+      // Share the first frame with the last one so that the seam has no gap.
+      ["tangents", "normals", "binormals"].forEach((k) => {
+        axisFrames[k][axisSegments] = axisFrames[k][0].clone();
+      });
+    }
     const crossFrames = cross.computeFrenetFrames(crossSegments, false);
 
     const CPs = cross.getSpacedPoints(crossSegments);
@@ -165,6 +196,17 @@ export class TubeBaseGeometry extends THREE.BufferGeometry {
       generateUVs();
 
       generateIndices();
+
+      generateCaps();
+    }
+
+    /**
+     * @param {THREE.Curve<THREE.Vector2>} c - A profile curve.
+     * @param {number} u
+     * @return {number}
+     */
+    function getProfileY(c, u) {
+      return getProfilePoint(c, u, profileSampling, _P).y;
     }
 
     function generateSegment() {
@@ -173,12 +215,12 @@ export class TubeBaseGeometry extends THREE.BufferGeometry {
 
         const u = i / axisSegments;
         AP = axis.getPointAt(u, AP);
-        scale = scaleN * scaleC.getPointAt(u, _P).y;
-        xScale = xScaleN * xScaleC.getPointAt(u, _P).y;
-        yScale = yScaleN * yScaleC.getPointAt(u, _P).y;
-        xCurvature = xCurvatureN + xCurvatureC.getPointAt(u, _P).y;
-        yCurvature = yCurvatureN + yCurvatureC.getPointAt(u, _P).y;
-        tilt = THREE.MathUtils.degToRad(tiltN + tiltC.getPointAt(u, _P).y);
+        scale = scaleN * getProfileY(scaleC, u);
+        xScale = xScaleN * getProfileY(xScaleC, u);
+        yScale = yScaleN * getProfileY(yScaleC, u);
+        xCurvature = xCurvatureN + getProfileY(xCurvatureC, u);
+        yCurvature = yCurvatureN + getProfileY(yCurvatureC, u);
+        tilt = THREE.MathUtils.degToRad(tiltN + getProfileY(tiltC, u));
 
         // retrieve corresponding normal and binormal
 
@@ -300,14 +342,17 @@ export class TubeBaseGeometry extends THREE.BufferGeometry {
         const AT = axisFrames.tangents[i];
 
         for (let j = 0; j <= crossSegments; j++) {
-          const n12 = (crossSegments + 1) * (i - 1) + j;
+          // On a closed axis, the neighbors of the seam are across the seam.
+          const i1 = closed && i === 0 ? axisSegments - 1 : i - 1;
+          const i3 = closed && i === axisSegments ? 1 : i + 1;
+          const n12 = (crossSegments + 1) * i1 + j;
           const n21 = (crossSegments + 1) * i + (j - 1);
           const n22 = (crossSegments + 1) * i + j;
           const n23 = (crossSegments + 1) * i + (j + 1);
-          const n32 = (crossSegments + 1) * (i + 1) + j;
+          const n32 = (crossSegments + 1) * i3 + j;
 
           // Calculate CBz (as r).
-          if (i === 0) {
+          if (i === 0 && !closed) {
             if (j === 0) {
               const CP23 = new THREE.Vector3(CPsA[n23].x, CPsA[n23].y, 0);
               const CP32 = new THREE.Vector3(CPsA[n32].x, CPsA[n32].y, l);
@@ -344,7 +389,7 @@ export class TubeBaseGeometry extends THREE.BufferGeometry {
               const z2 = c.z;
               r = (z1 + z2) / (xy1 + xy2);
             }
-          } else if (i === axisSegments) {
+          } else if (i === axisSegments && !closed) {
             if (j === 0) {
               const CP12 = new THREE.Vector3(CPsA[n12].x, CPsA[n12].y, -l);
               const CP23 = new THREE.Vector3(CPsA[n23].x, CPsA[n23].y, 0);
@@ -466,6 +511,129 @@ export class TubeBaseGeometry extends THREE.BufferGeometry {
       }
     }
 
+    function generateCaps() {
+      if (closed) return; // There are no ends.
+
+      generateCap(startCap, 0, -1);
+      generateCap(endCap, axisSegments, 1);
+    }
+
+    /**
+     * Generate a cap on the cross section at i.
+     * The cap is made of rings from the cross section (k = 0) to the center (k = capSegments),
+     * and the vertices of the cap are not shared with the side so that the edge can be sharp.
+     *
+     * @param {"none"|"flat"|"round"|"point"} cap
+     * @param {number} i - The index of the cross section. 0 or axisSegments.
+     * @param {1|-1} sign - 1 if the cap faces the axis direction, -1 otherwise.
+     */
+    function generateCap(cap, i, sign) {
+      if (cap === "none") return;
+
+      const capSegments = getCapSegments(cap, crossSegments);
+      const start = vertices.length / 3;
+      const ring = (j) => (crossSegments + 1) * i + j;
+
+      const outward = axisFrames.tangents[i].clone().multiplyScalar(sign);
+
+      // The center of the cross section in 3D and 2D.
+      // The last point is skipped, because it duplicates the first one of a closed cross section.
+      const C = new THREE.Vector3();
+      const C2 = new THREE.Vector2();
+      const v = new THREE.Vector3();
+      for (let j = 0; j < crossSegments; j++) {
+        C.add(v.fromArray(vertices, ring(j) * 3));
+        C2.add(CPsA[ring(j)]);
+      }
+      C.divideScalar(crossSegments);
+      C2.divideScalar(crossSegments);
+
+      let radius = 0; // The height of the dome and the tip.
+      let uvRadius = Number.EPSILON;
+      const Vs = []; // The vectors from the center to the cross section.
+      for (let j = 0; j <= crossSegments; j++) {
+        Vs.push(
+          v
+            .fromArray(vertices, ring(j) * 3)
+            .clone()
+            .sub(C)
+        );
+        if (j < crossSegments) radius += Vs[j].length() / crossSegments;
+        uvRadius = Math.max(uvRadius, CPsA[ring(j)].distanceTo(C2));
+      }
+
+      // 1 if the side faces outward, -1 if it faces inward, given by the winding of the side.
+      const facingV = new THREE.Vector3();
+      for (let j = 1; j <= crossSegments; j++) {
+        facingV.add(v.crossVectors(Vs[j - 1], Vs[j]));
+      }
+      const facing = facingV.dot(outward) * sign * -1 < 0 ? -1 : 1;
+
+      const P2 = new THREE.Vector2();
+      const sideNormal = new THREE.Vector3();
+
+      for (let k = 0; k <= capSegments; k++) {
+        const phi = (k / capSegments) * (Math.PI / 2);
+        const shrink = cap === "round" ? Math.cos(phi) : 1 - k / capSegments;
+        const height =
+          cap === "round"
+            ? radius * Math.sin(phi)
+            : cap === "point"
+            ? (radius * k) / capSegments
+            : 0;
+
+        for (let j = 0; j <= crossSegments; j++) {
+          // vertex
+
+          vertex.copy(C).addScaledVector(Vs[j], shrink);
+          vertex.addScaledVector(outward, height);
+          vertices.push(vertex.x, vertex.y, vertex.z);
+
+          // normal
+
+          if (cap === "round") {
+            sideNormal.fromArray(normals, ring(j) * 3);
+            normal.copy(sideNormal).multiplyScalar(Math.cos(phi));
+            normal.addScaledVector(outward, facing * Math.sin(phi));
+          } else if (cap === "point") {
+            normal.copy(Vs[j]).multiplyScalar(radius);
+            normal.addScaledVector(outward, Vs[j].length() ** 2);
+            normal.multiplyScalar(facing);
+          } else {
+            normal.copy(outward).multiplyScalar(facing);
+          }
+          if (normal.lengthSq() === 0) normal.copy(outward);
+          normal.normalize();
+          normals.push(normal.x, normal.y, normal.z);
+
+          // uv (planar projection of the cross section)
+
+          P2.copy(CPsA[ring(j)])
+            .sub(C2)
+            .multiplyScalar(shrink / uvRadius);
+          uvs.push(0.5 + P2.x * 0.5, 0.5 + P2.y * 0.5);
+        }
+      }
+
+      // indices
+      // The rings are ordered against the axis at the start, so swap them to keep the winding of the side.
+
+      for (let k = 1; k <= capSegments; k++) {
+        for (let j = 1; j <= crossSegments; j++) {
+          const [k1, k2] = sign === 1 ? [k - 1, k] : [k, k - 1];
+          const a = start + (crossSegments + 1) * k1 + (j - 1);
+          const b = start + (crossSegments + 1) * k2 + (j - 1);
+          const c = start + (crossSegments + 1) * k2 + j;
+          const d = start + (crossSegments + 1) * k1 + j;
+
+          // faces (the triangles on the center are degenerate)
+
+          if (k1 !== capSegments) indices.push(a, b, d);
+          if (k2 !== capSegments) indices.push(b, c, d);
+        }
+      }
+    }
+
     function generateUVs() {
       for (let i = 0; i <= axisSegments; i++) {
         for (let j = 0; j <= crossSegments; j++) {
@@ -491,6 +659,7 @@ export class TubeBaseGeometry extends THREE.BufferGeometry {
 
     Object.entries(source.parameters).forEach(([k, v]) => {
       if (v instanceof THREE.Curve) this.parameters[k] = v.clone();
+      if (v instanceof THREE.Vector3) this.parameters[k] = v.clone();
     });
 
     return this;
@@ -506,8 +675,49 @@ export class TubeBaseGeometry extends THREE.BufferGeometry {
 
     Object.entries(this.parameters).forEach(([k, v]) => {
       if (v instanceof THREE.Curve) data[k] = v.toJSON();
+      if (v instanceof THREE.Vector3) data[k] = v.toArray();
     });
 
     return data;
   }
 }
+
+/**
+ * Get the point of the profile curve (e.g. scaleC) at u along the axis.
+ * "arcLength" samples the curve evenly along its length, so the steep parts of the curve take more of the axis.
+ * "x" regards the curve as a function of x and samples it at x = (start x) + u * ((end x) - (start x)),
+ * so the x of a control point is where it affects the tube. Only Curve2 supports "x" (see Curve2.getYAtX()).
+ *
+ * @param {THREE.Curve<THREE.Vector2>} c
+ * @param {number} u - The position along the axis from 0 to 1.
+ * @param {"arcLength"|"x"} profileSampling
+ * @param {THREE.Vector2} [optionalTarget]
+ * @return {THREE.Vector2}
+ */
+export function getProfilePoint(
+  c,
+  u,
+  profileSampling,
+  optionalTarget = new THREE.Vector2()
+) {
+  if (profileSampling !== "x" || typeof c.getYAtX !== "function") {
+    return c.getPointAt(u, optionalTarget);
+  }
+
+  const start = c.getPoint(0, optionalTarget).x;
+  const end = c.getPoint(1, optionalTarget).x;
+  const x = start + u * (end - start);
+  return optionalTarget.set(x, c.getYAtX(x));
+}
+
+/**
+ * Get the number of the rings of a cap, excluding the ring on the cross section.
+ * A cap has (capSegments + 1) * (crossSegments + 1) vertices.
+ *
+ * @param {"flat"|"round"|"point"} cap
+ * @param {number} crossSegments
+ * @return {number}
+ */
+export function getCapSegments(cap, crossSegments) {
+  return cap === "round" ? Math.max(2, Math.ceil(crossSegments / 4)) : 1;
+}
@@ -0,0 +1,145 @@
+import * as THREE from "three";
+
+/**
+ * @typedef {Object} TubeBuffers
+ * @property {Uint16Array|Uint32Array} index
+ * @property {Float32Array} position
+ * @property {Float32Array} normal
+ * @property {Float32Array} uv
+ * @property {Float32Array} wireframe - The positions of WireframeGeometry.
+ */
+
+/**
+ * The number of faces (axisSegments * crossSegments) above which the worker is used.
+ */
+export const workerThreshold = 10000;
+
+let worker = null;
+let isFailed = false;
+let nextId = 0;
+
+/**
+ * The request states for each key.
+ * Only one request per key is sent to the worker at a time,
+ * and only the latest one of the requests waiting for it is kept.
+ *
+ * @type {WeakMap<Object,{inFlight:?{id:number,resolve:Function,reject:Function},pending:?{json:Object,resolve:Function,reject:Function}}>}
+ */
+const states = new WeakMap();
+
+/**
+ * The states of the requests sent to the worker.
+ *
+ * @type {Map<number,Object>}
+ */
+const inFlightStates = new Map();
+
+/**
+ * Whether the worker can be used in this environment.
+ *
+ * @return {boolean}
+ */
+export function canUseWorker() {
+  return typeof Worker !== "undefined" && !isFailed;
+}
+
+/**
+ * Request the buffers of TubeGeometry to the worker.
+ * If a newer request with the same key is made before this request is processed,
+ * this request is canceled and resolved with null.
+ *
+ * @param {Object} key - The owner of the request, e.g. a Tube.
+ * @param {Object} json - Tube.toJSON().
+ * @return {Promise<?TubeBuffers>} The buffers, or null if the request is stale.
+ */
+export function requestTubeBuffers(key, json) {
+  let state = states.get(key);
+  if (!state) {
+    state = { inFlight: null, pending: null };
+    states.set(key, state);
+  }
+
+  return new Promise((resolve, reject) => {
+    state.pending?.resolve(null); // Cancel the stale request.
+    state.pending = { json, resolve, reject };
+    if (!state.inFlight) send(state);
+  });
+}
+
+/**
+ * Create the geometries from the buffers.
+ *
+ * @param {TubeBuffers} buffers
+ * @return {{geometry:THREE.BufferGeometry,wireframe:THREE.BufferGeometry}}
+ */
+export function createGeometriesFromBuffers(buffers) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setIndex(new THREE.BufferAttribute(buffers.index, 1));
+  geometry.setAttribute(
+    "position",
+    new THREE.BufferAttribute(buffers.position, 3)
+  );
+  geometry.setAttribute("normal", new THREE.BufferAttribute(buffers.normal, 3));
+  geometry.setAttribute("uv", new THREE.BufferAttribute(buffers.uv, 2));
+
+  const wireframe = new THREE.BufferGeometry();
+  wireframe.setAttribute(
+    "position",
+    new THREE.BufferAttribute(buffers.wireframe, 3)
+  );
+
+  return { geometry, wireframe };
+}
+
+/**
+ * Send the pending request of the state to the worker.
+ *
+ * @param {Object} state
+ */
+function send(state) {
+  const { json, resolve, reject } = state.pending;
+  const id = nextId++;
+  state.pending = null;
+  state.inFlight = { id, resolve, reject };
+  inFlightStates.set(id, state);
+  getWorker().postMessage({ id, json });
+}
+
+/**
+ * @return {Worker}
+ */
+function getWorker() {
+  if (worker) return worker;
+
+  worker = new Worker(new URL("./tube.worker.js", import.meta.url), {
+    type: "module",
+  });
+  worker.onmessage = (e) => {
+    const { id, buffers, error } = e.data;
+    const state = inFlightStates.get(id);
+    inFlightStates.delete(id);
+    if (!state) return;
+
+    const { resolve, reject } = state.inFlight;
+    state.inFlight = null;
+    if (error) {
+      reject(new Error(error));
+    } else {
+      resolve(state.pending ? null : buffers); // Stale if a newer one is waiting.
+    }
+    if (state.pending) send(state);
+  };
+  worker.onerror = (e) => {
+    console.error(e);
+    isFailed = true; // Don't use the worker any more.
+    inFlightStates.forEach((state) => {
+      state.inFlight.reject(new Error("the tube worker failed."));
+      state.pending?.reject(new Error("the tube worker failed."));
+      state.inFlight = null;
+      state.pending = null;
+    });
+    inFlightStates.clear();
+  };
+
+  return worker;
+}
@@ -1,3 +1,5 @@
+import * as THREE from "three";
+
 import { TubeBaseGeometry } from "./tube-base.js";
 import { Curve3 } from "../curve/curve-3.js";
 import { Curve2 } from "../curve/curve-2.js";
@@ -24,7 +26,7 @@ import {
  * const xCurvatureC = constant0Curve2.clone();
  * const yCurvatureC = constant0Curve2.clone();
  * const tiltC = constant0Curve2.clone();
- * const geometry = new TubeGeometry( axis, cross, 4, 8, 1, 1, 1, 0, 0, 0, scaleC, xScaleC, yScaleC, tiltC, xCurvatureC, yCurvatureC, "xy" );
+ * const geometry = new TubeGeometry( axis, cross, 4, 8, 1, 1, 1, 0, 0, 0, scaleC, xScaleC, yScaleC, tiltC, xCurvatureC, yCurvatureC, "xy", "none", "none", "frenet" );
  * const material = new THREE.MeshBasicMaterial( { color: 0x00ff00 } );
  * const mesh = new THREE.Mesh( geometry, material );
  * scene.add( mesh );
@@ -66,6 +68,11 @@ export class TubeGeometry extends TubeBaseGeometry {
    * @param {Curve2} [yCurvatureC] - The curvature of the cross section in the y direction. Only the y component is used for the curvature.
    * @param {Curve2} [tiltC] - The circumferential inclination angle of the cross section (in degrees). Only the y component is used for the angle.
    * @param {"xy"|"yx"} [curvatureOrder] - The order in which curvature is applied. "xy" is x to y. "yx" is y to x.
+   * @param {"none"|"flat"|"round"|"point"} [startCap="none"] - The cap of the first cross section. It is ignored if the axis is closed.
+   * @param {"none"|"flat"|"round"|"point"} [endCap="none"] - The cap of the last cross section. It is ignored if the axis is closed.
+   * @param {"frenet"|"rmf"|"up"} [frameMode="frenet"] - How to compute the frames of the axis. "rmf" is the rotation-minimizing frames. "up" keeps the y direction of the cross section close to upVector.
+   * @param {THREE.Vector3} [upVector] - The up vector used if frameMode is "up".
+   * @param {"arcLength"|"x"} [profileSampling="arcLength"] - How to sample the profile curves (scaleC, ..., tiltC) along the axis. See getProfilePoint().
    */
   constructor(
     axis = constant0Curve3.clone(),
@@ -84,7 +91,12 @@ export class TubeGeometry extends TubeBaseGeometry {
     xCurvatureC = constant0Curve2.clone(),
     yCurvatureC = constant0Curve2.clone(),
     tiltC = constant0Curve2.clone(),
-    curvatureOrder = "xy"
+    curvatureOrder = "xy",
+    startCap = "none",
+    endCap = "none",
+    frameMode = "frenet",
+    upVector = new THREE.Vector3(0, 1, 0),
+    profileSampling = "arcLength"
   ) {
     super(
       axis,
@@ -103,7 +115,12 @@ export class TubeGeometry extends TubeBaseGeometry {
       xCurvatureC,
       yCurvatureC,
       tiltC,
-      curvatureOrder
+      curvatureOrder,
+      startCap,
+      endCap,
+      frameMode,
+      upVector,
+      profileSampling
     );
 
     this.type = "TubeGeometry";
@@ -134,7 +151,12 @@ export class TubeGeometry extends TubeBaseGeometry {
       new Curve2().fromJSON(data.xCurvatureC),
       new Curve2().fromJSON(data.yCurvatureC),
       new Curve2().fromJSON(data.tiltC),
-      data.curvatureOrder
+      data.curvatureOrder,
+      data.startCap,
+      data.endCap,
+      data.frameMode,
+      data.upVector ? new THREE.Vector3().fromArray(data.upVector) : undefined,
+      data.profileSampling
     );
   }
 }
@@ -0,0 +1,33 @@
+import * as THREE from "three";
+
+import { TubeGeometry } from "./tube.js";
+
+/**
+ * Generate the buffers of TubeGeometry from Tube.toJSON().
+ * This worker is used by requestTubeBuffers() in ./src/geometry/tube-worker.js.
+ *
+ * request = { id: number, json: Object }
+ * response = { id: number, buffers: TubeBuffers } or { id: number, error: string }
+ */
+self.onmessage = (e) => {
+  const { id, json } = e.data;
+
+  try {
+    const geometry = TubeGeometry.fromJSON(json);
+    const wireframe = new THREE.WireframeGeometry(geometry);
+
+    const buffers = {
+      index: geometry.getIndex().array,
+      position: geometry.getAttribute("position").array,
+      normal: geometry.getAttribute("normal").array,
+      uv: geometry.getAttribute("uv").array,
+      wireframe: wireframe.getAttribute("position").array,
+    };
+    self.postMessage(
+      { id, buffers },
+      Object.values(buffers).map((v) => v.buffer)
+    );
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,79 @@
+import * as THREE from "three";
+
+import { mergeVertices } from "three/addons/utils/BufferGeometryUtils.js";
+import { TubeBaseGeometry } from "./tube-base.js";
+
+/**
+ * Create a geometry for printing from the tube geometry.
+ * Only the positions are kept, since STL has neither normals nor UVs.
+ *
+ * @param {TubeBaseGeometry} geometry
+ * @param {boolean} capEnds - Whether to close the open ends (startCap or endCap is "none") with triangle fans.
+ * @param {boolean} weld - Whether to weld the duplicated vertices (e.g. the seam at j = 0 / j = crossSegments).
+ * @param {boolean} [flipped=false] - Whether the geometry is the mirrored twin, whose faces are flipped by createMirroredGeometry().
+ * @return {THREE.BufferGeometry}
+ */
+export function createWatertightGeometry(
+  geometry,
+  capEnds,
+  weld,
+  flipped = false
+) {
+  const { axisSegments, crossSegments, startCap, endCap } = geometry.parameters;
+
+  const position = geometry.getAttribute("position");
+  const vertices = Array.from(position.array);
+  const indices = Array.from(geometry.getIndex().array);
+
+  const closed = geometry.parameters.axis.isClosed === true;
+
+  if (capEnds && !closed) {
+    // The winding is the reverse of the side faces sharing the ring edges.
+    const startRing = (j) => j;
+    const endRing = (j) => (crossSegments + 1) * axisSegments + j;
+
+    const pushFace = (a, b, c) =>
+      flipped ? indices.push(a, c, b) : indices.push(a, b, c);
+
+    // The ends already capped by the geometry are skipped.
+    if (startCap === "none") {
+      const start = addCenter(startRing);
+      for (let j = 1; j <= crossSegments; j++) {
+        pushFace(start, startRing(j - 1), startRing(j));
+      }
+    }
+    if (endCap === "none") {
+      const end = addCenter(endRing);
+      for (let j = 1; j <= crossSegments; j++) {
+        pushFace(end, endRing(j), endRing(j - 1));
+      }
+    }
+  }
+
+  const result = new THREE.BufferGeometry();
+  result.setIndex(indices);
+  result.setAttribute(
+    "position",
+    new THREE.Float32BufferAttribute(vertices, 3)
+  );
+
+  return weld ? mergeVertices(result) : result;
+
+  /**
+   * Add the center of the ring as a new vertex.
+   * The last vertex of the ring is skipped, because it duplicates the first one of a closed cross section.
+   *
+   * @param {(j:number)=>number} ring - The index of the j-th vertex of the ring.
+   * @return {number} The index of the center.
+   */
+  function addCenter(ring) {
+    const center = new THREE.Vector3();
+    const v = new THREE.Vector3();
+    for (let j = 0; j < crossSegments; j++) {
+      center.add(v.fromBufferAttribute(position, ring(j)));
+    }
+    center.divideScalar(crossSegments);
+    vertices.push(center.x, center.y, center.z);
+    return vertices.length / 3 - 1;
+  }
+}
@@ -3,97 +3,344 @@ import * as THREE from "three";
 import { createRenderer, updateRenderer } from "./main/renderer.js";
 import { createCamera, updateCamera } from "./main/camera.js";
 import { createControlsAndGizmo } from "./main/controls.js";
+import {
+  createTransformControls,
+  updateTransformControls,
+} from "./main/transform-controls.js";
+import {
+  createCurveEditor,
+  updateCurveEditor,
+  setCurveEditorGUI,
+} from "./main/curve-editor.js";
 import { GUI } from "lil-gui";
 import { createScene } from "./object-3d/scene.js";
 import { createAxesHelper } from "./object-3d/axes-helper.js";
-import { createMaterials } from "./material/materials.js";
-import { createBaseGroup } from "./object-3d/group/base.js";
-import { ControlPoint3 } from "./curve/control-point-3.js";
-import { ControlPoint2 } from "./curve/control-point-2.js";
-import { createControlPointGroup } from "./object-3d/group/control-point.js";
-import { screwShapedCurve3 } from "./curve/samples/curve-3.js";
-import { smallCircleCurve2 } from "./curve/samples/curve-2.js";
-import { createCurveGroup } from "./object-3d/group/curve.js";
-import { Tube } from "./curve/tube.js";
-import { createTubeGroup, setTubeGroupGUI } from "./object-3d/group/tube.js";
+import {
+  createMaterials,
+  saveMaterials,
+  loadMaterials,
+} from "./material/materials.js";
+import { createBaseGroup, getBaseMeshes } from "./object-3d/group/base.js";
+import { defaultBaseUrl, baseExtensions } from "./geometry/base.js";
+import {
+  loadBaseFromUrl,
+  loadBaseFromFile,
+  saveBase,
+  loadBase,
+  setBaseGUI,
+} from "./main/base.js";
+import { setPoseGUI } from "./main/pose.js";
+import {
+  createSkinPreview,
+  updateSkinPreview,
+  setSkinGUI,
+} from "./main/skin.js";
+import { Costume } from "./curve/costume.js";
+import { createCostumeGroup } from "./object-3d/group/costume.js";
 import { saveGui, saveClosed, loadClosed } from "./main/gui.js";
 import { disposeRecursively } from "./main/dispose.js";
+import { downloadFile, pickFile, setFileGUI } from "./main/file.js";
+import {
+  designExtension,
+  stringifyDesign,
+  parseDesign,
+} from "./main/design.js";
+import { saveToStorage, loadFromStorage } from "./main/storage.js";
+import { exporters, setExportGUI } from "./main/export.js";
+import { snapToBody, parseIndices, setSnapGUI } from "./main/snap.js";
+import { Tube } from "./curve/tube.js";
+import {
+  findPenetratingVertices,
+  createCollisionPoints,
+  updateCollisionPoints,
+  setCollisionGUI,
+} from "./main/collision.js";
 
-let renderer, camera, gizmo, scene;
-let gui, ms, c, group;
+let renderer, camera, controls, gizmo, transformControls, curveEditor, scene;
+let gui, ms, c, group, baseGroup, collisionPoints, skinPreview;
 
 let loading = false;
+let autosaveTimer = null;
+const clock = new THREE.Clock();
 const undos = [];
 const redos = [];
+const autosave = { enabled: true, undos: true };
+const exportSettings = {
+  vertexColors: false,
+  animation: true,
+  capEnds: true,
+  weld: true,
+};
+const snapSettings = { offset: 0.02, cps: "" };
+const collisionResult = { count: 0 };
 
 init();
 
 async function init() {
   renderer = createRenderer(animate);
   camera = createCamera();
-  ({ gizmo } = createControlsAndGizmo(camera, renderer));
+  ({ controls, gizmo } = createControlsAndGizmo(camera, renderer));
 
   gui = new GUI();
+  setFileGUI(gui, saveFile, openFile, autosave);
+  setExportGUI(gui, exportFile, exportSettings);
+  setSnapGUI(gui, snapSelectedTube, snapSettings);
   scene = createScene(gui);
   scene.add(createAxesHelper(gui));
+  transformControls = createTransformControls(
+    camera,
+    renderer,
+    controls,
+    scene,
+    () => group?.children[c.selectedIndex],
+    save
+  );
+  curveEditor = createCurveEditor(save);
+  setCurveEditorGUI(gui, curveEditor);
   ms = createMaterials(gui);
+  collisionPoints = createCollisionPoints(ms);
+  setCollisionGUI(gui, checkCollision, collisionResult, collisionPoints);
+  scene.add(collisionPoints);
 
-  // await createBaseGroup(ms).then((baseGroup) => {
-  //   if (!baseGroup) return;
-  //   scene.add(baseGroup);
-  // });
-
-  // c = new ControlPoint3();
-  // c = new ControlPoint2();
-  // group = createControlPointGroup(c, ms);
-  // c = screwShapedCurve3.clone();
-  // c = smallCircleCurve2.clone();
-  // group = createCurveGroup(c, ms);
-  c = new Tube();
-  group = createTubeGroup(c, ms);
-  setTubeGroupGUI(gui, group); // Tube only.
-  c.setGUI(gui);
+  baseGroup = createBaseGroup();
+  setBaseGUI(gui, baseGroup, openBase, clearCollision);
+  scene.add(baseGroup);
+  await loadBaseFromUrl(baseGroup, "base1-22.glb", defaultBaseUrl, ms);
+  setPoseGUI(gui, baseGroup, onPoseChange);
+  skinPreview = createSkinPreview();
+  setSkinGUI(gui, skinPreview, updateSkin);
+  scene.add(skinPreview);
+
+  c = new Costume();
+  group = createCostumeGroup(c, ms);
+  c.setGUI(gui, save, openSVG);
   scene.add(group);
 
-  save();
+  const stored = loadFromStorage();
+  if (stored && window.confirm("Restore the last session?")) {
+    const initial = snapshot();
+    try {
+      undos.push(...stored.undos);
+      load(stored);
+    } catch (error) {
+      console.error(error);
+      undos.length = 0;
+      load(initial);
+    }
+  }
+
+  if (undos.length === 0) save();
   gui.onOpenClose(save);
-  gui.onFinishChange(save); // TODO: Handling calls from function type
+  gui.onFinishChange(({ object, property }) => {
+    // The playback is not saved, since it changes the parts only while playing.
+    if (object === c.timeline && ["isPlaying", "time"].includes(property)) {
+      return;
+    }
+    save(); // TODO: Handling calls from function type
+  });
   window.addEventListener("keydown", onWindowKeydown);
+  window.addEventListener("dragover", (e) => e.preventDefault());
+  window.addEventListener("drop", onWindowDrop);
   window.addEventListener("resize", onWindowResize);
+  window.addEventListener("pagehide", flushAutosave);
 }
 
 function save() {
   if (loading) return; // "loading" is set by loadLastUndo().
 
-  undos.push({ c: c.toJSON(), gui: saveGui(gui), closed: saveClosed(gui) });
+  undos.push(snapshot());
   redos.length = 0;
+  saveAutosave();
+  updateSkin();
+}
+
+/**
+ * @returns {{c:Object,gui:Object,closed:Object,base:Object}}
+ */
+function snapshot() {
+  return {
+    c: c.toJSON(),
+    gui: saveGui(gui),
+    closed: saveClosed(gui),
+    base: saveBase(baseGroup),
+  };
 }
 
 function loadLastUndo() {
+  load(undos[undos.length - 1]);
+  saveAutosave();
+}
+
+/**
+ * Save the design to localStorage after the edits settle, since it is too heavy to do on every edit.
+ */
+function saveAutosave() {
+  if (!autosave.enabled) return;
+
+  clearTimeout(autosaveTimer);
+  autosaveTimer = setTimeout(flushAutosave, 500);
+}
+
+function flushAutosave() {
+  if (autosaveTimer === null) return;
+  clearTimeout(autosaveTimer);
+  autosaveTimer = null;
+
+  const obj = { ...snapshot(), materials: saveMaterials(ms) };
+  saveToStorage(obj, autosave.undos ? undos : []);
+}
+
+/**
+ * @param {{c:Object,gui:Object,closed:Object,materials?:Object,base?:Object}} obj
+ */
+function load(obj) {
   loading = true;
 
+  transformControls.detach();
   scene.remove(group);
   disposeRecursively(group);
 
-  const obj = undos[undos.length - 1];
+  clearCollision();
 
   c.fromJSON(obj.c);
-  // group = createControlPointGroup(c, ms);
-  // group = createCurveGroup(c, ms);
-  group = createTubeGroup(c, ms);
-  setTubeGroupGUI(gui, group); // Tube only.
-  c.setGUI(gui);
+  group = createCostumeGroup(c, ms);
+  c.setGUI(gui, save, openSVG);
   scene.add(group);
 
   gui.load(obj.gui);
   loadClosed(gui, obj.closed);
+  if (obj.base) {
+    loadBase(baseGroup, obj.base, ms).then((isChanged) => {
+      if (isChanged) setPoseGUI(gui, baseGroup, onPoseChange);
+      updateSkin();
+    });
+  } else {
+    updateSkin();
+  }
+  if (obj.materials) {
+    loadMaterials(ms, obj.materials);
+    gui.controllersRecursive().forEach((v) => v.updateDisplay());
+  }
 
   loading = false;
 }
 
+function saveFile() {
+  const obj = { ...snapshot(), materials: saveMaterials(ms) };
+  const blob = new Blob([stringifyDesign(obj)], { type: "application/json" });
+  downloadFile(blob, `design${designExtension}`);
+}
+
+async function openFile() {
+  const file = await pickFile(`${designExtension},.json`);
+  if (!file) return;
+
+  try {
+    load(parseDesign(await file.text()));
+  } catch (error) {
+    console.error(error);
+    window.alert(`Failed to open "${file.name}": ${error.message}`);
+    if (loading) loadLastUndo(); // Restore the state before opening.
+    return;
+  }
+  save();
+}
+
+/**
+ * @param {string} format - The key of exporters.
+ */
+async function exportFile(format) {
+  try {
+    const blob = await exporters[format](c, group, exportSettings, baseGroup);
+    downloadFile(blob, `design.${format}`);
+  } catch (error) {
+    console.error(error);
+    window.alert(`Failed to export ${format}: ${error.message}`);
+  }
+}
+
+/**
+ * @returns {Promise<?string>} The text of the picked SVG file, or null if it is canceled.
+ */
+async function openSVG() {
+  const file = await pickFile(".svg");
+  return file ? await file.text() : null;
+}
+
+async function openBase() {
+  const file = await pickFile(baseExtensions.join(","));
+  if (file) loadBaseFile(file);
+}
+
+/**
+ * @param {File} file
+ */
+async function loadBaseFile(file) {
+  if (!(await loadBaseFromFile(baseGroup, file, ms))) {
+    window.alert(`Failed to load "${file.name}".`);
+    return;
+  }
+  setPoseGUI(gui, baseGroup, onPoseChange);
+  clearCollision();
+  save();
+}
+
+function snapSelectedTube() {
+  const t = c.selected.c;
+  const bodies = getBaseMeshes(baseGroup);
+  if (bodies.length === 0) {
+    window.alert("Failed to snap: the base model is not loaded.");
+    return;
+  }
+  if (!(t instanceof Tube)) {
+    window.alert("Failed to snap: the selected part is not a tube.");
+    return;
+  }
+
+  const indices = parseIndices(snapSettings.cps, t.parameters.axis.cps.length);
+  snapToBody(t, bodies, indices, snapSettings.offset);
+  gui.controllersRecursive().forEach((v) => v.updateDisplay());
+  save();
+}
+
+/**
+ * Clear the result of checkCollision(), since it is out of date after changing the base model.
+ */
+function clearCollision() {
+  updateCollisionPoints(collisionPoints, []);
+  collisionResult.count = 0;
+}
+
+function onPoseChange() {
+  clearCollision();
+  save();
+}
+
+function checkCollision() {
+  const bodies = getBaseMeshes(baseGroup);
+  if (bodies.length === 0) {
+    window.alert("Failed to check: the base model is not loaded.");
+    return;
+  }
+
+  const vertices = findPenetratingVertices(c, group, bodies);
+  updateCollisionPoints(collisionPoints, vertices);
+  collisionResult.count = vertices.length;
+}
+
+function updateSkin() {
+  updateSkinPreview(skinPreview, c, group, baseGroup);
+}
+
 function onWindowKeydown(e) {
   if (e.ctrlKey || e.metaKey) {
-    if (e.key === "z") {
+    if (e.key === "s") {
+      saveFile(); // Ctrl+S (Save)
+      e.preventDefault();
+    } else if (e.key === "o") {
+      openFile(); // Ctrl+O (Open)
+      e.preventDefault();
+    } else if (e.key === "z") {
       if (undos.length > 1) {
         redos.push(undos.pop()); // Ctrl+Z (Undo)
         loadLastUndo();
@@ -109,6 +356,24 @@ function onWindowKeydown(e) {
   }
 }
 
+/**
+ * Load the dropped base model.
+ *
+ * @param {DragEvent} e
+ */
+function onWindowDrop(e) {
+  e.preventDefault();
+  const file = e.dataTransfer.files[0];
+  if (!file) return;
+
+  const name = file.name.toLowerCase();
+  if (baseExtensions.some((v) => name.endsWith(v))) {
+    loadBaseFile(file);
+  } else {
+    window.alert(`"${file.name}" is not a base model (${baseExtensions}).`);
+  }
+}
+
 function onWindowResize() {
   updateCamera(camera);
   updateRenderer(renderer);
@@ -116,6 +381,9 @@ function onWindowResize() {
 }
 
 function animate() {
+  c?.timeline.update(c, clock.getDelta());
+  if (c) updateCurveEditor(curveEditor, c.selected?.c);
+  updateTransformControls(transformControls);
   renderer.render(scene, camera);
   gizmo.render();
 }
@@ -0,0 +1,87 @@
+import * as THREE from "three";
+
+import { Costume } from "../curve/costume.js";
+import { getVisibleTubeMeshesOfCostume } from "../object-3d/group/costume.js";
+
+/**
+ * @typedef {Object} Frames
+ * @property {Array<number>} times - The times of the frames in seconds.
+ * @property {Map<THREE.Mesh,Array<{position:Float32Array,normal:Float32Array}>>} meshes - The positions and normals of the visible tube meshes at each time.
+ */
+
+/**
+ * Sample the visible tube meshes at every frame of the timeline.
+ * The values of the tracks are restored after sampling.
+ *
+ * @param {Costume} co
+ * @param {THREE.Group} group - The costume group created by createCostumeGroup().
+ * @return {Frames}
+ */
+export function sampleFrames(co, group) {
+  const tl = co.timeline;
+  const count = Math.max(1, Math.round(tl.duration * tl.fps));
+  const times = [...Array(count + 1).keys()].map(
+    (i) => (i / count) * tl.duration
+  );
+
+  const values = tl.getValues(co);
+  const time = tl.time;
+  const meshes = new Map();
+  times.forEach((t) => {
+    tl.apply(co, t, true);
+    getVisibleTubeMeshesOfCostume(co, group).forEach(({ mesh }) => {
+      if (!meshes.has(mesh)) meshes.set(mesh, []);
+      meshes.get(mesh).push({
+        position: mesh.geometry.getAttribute("position").array.slice(),
+        normal: mesh.geometry.getAttribute("normal").array.slice(),
+      });
+    });
+  });
+  tl.setValues(co, values, true);
+  tl.time = time;
+
+  return { times, meshes };
+}
+
+/**
+ * Add the frames of the tube mesh to the exported mesh as morph targets,
+ * and create the track that shows each target at its time in turn.
+ *
+ * @param {THREE.Mesh} m - The mesh to export.
+ * @param {THREE.Mesh} mesh - The tube mesh sampled by sampleFrames().
+ * @param {Frames} frames
+ * @param {THREE.Matrix4} matrix - The matrix applied to the geometry of m, e.g. the world matrix of the skinned mesh.
+ * @return {?THREE.NumberKeyframeTrack} null if the vertices changed during the animation.
+ */
+export function addMorphTargets(m, mesh, frames, matrix) {
+  const samples = frames.meshes.get(mesh);
+  const count = m.geometry.getAttribute("position").count;
+  if (!samples || samples.some((v) => v.position.length !== count * 3)) {
+    console.error(`the vertices of ${m.name} changed during the animation.`);
+    return null;
+  }
+
+  const normalMatrix = new THREE.Matrix3().getNormalMatrix(matrix);
+  const position = [];
+  const normal = [];
+  samples.forEach((v) => {
+    const p = new THREE.Float32BufferAttribute(v.position, 3);
+    const n = new THREE.Float32BufferAttribute(v.normal, 3);
+    p.applyMatrix4(matrix);
+    n.applyNormalMatrix(normalMatrix);
+    position.push(p);
+    normal.push(n);
+  });
+  m.geometry.morphAttributes = { position, normal };
+  m.updateMorphTargets();
+
+  // Linear interpolation between the one-hot weights blends the neighboring frames.
+  const weights = frames.times.flatMap((_, i) =>
+    samples.map((_, j) => (i === j ? 1 : 0))
+  );
+  return new THREE.NumberKeyframeTrack(
+    `${m.uuid}.morphTargetInfluences`,
+    frames.times,
+    weights
+  );
+}
@@ -0,0 +1,181 @@
+import * as THREE from "three";
+
+import { GUI } from "lil-gui";
+import { clone as cloneSkinned } from "three/addons/utils/SkeletonUtils.js";
+import { loadBaseModel } from "../geometry/base.js";
+import { setBaseModel } from "../object-3d/group/base.js";
+import { savePose, loadPose } from "./pose.js";
+
+/**
+ * baseObj = {
+ *   name: string, // The file name of the model.
+ *   url: ?string, // null for a local file.
+ *   id: ?string, // The unique id of a local file. null for a URL.
+ *   position: [x, y, z],
+ *   rotation: [x, y, z], // In radians.
+ *   scale: number,
+ *   pose: Object // savePose()
+ * }
+ */
+
+/**
+ * The loaded models by the URL or the id of the local file.
+ * They are reused by undo/redo and by opening a design with the same model.
+ * The local files are keyed by the ids, since different files may have the same name.
+ *
+ * @type {Map<string,THREE.Object3D>}
+ */
+const models = new Map();
+
+/**
+ * Load the base model from the URL.
+ *
+ * @param {THREE.Group} group - The group created by createBaseGroup().
+ * @param {string} name - The file name of the model.
+ * @param {string} url
+ * @param {{[k1:string]:{[k2:string]:THREE.Material}}} ms - The materials.
+ * @return {Promise<boolean>} Whether the model is loaded.
+ */
+export async function loadBaseFromUrl(group, name, url, ms) {
+  if (!models.has(url)) {
+    const model = await loadBaseModel(url, name);
+    if (!model) return false;
+    models.set(url, model);
+  }
+  setBaseModel(group, cloneModel(models.get(url)), { name, url, id: null }, ms);
+  return true;
+}
+
+/**
+ * Load the base model from the local file.
+ *
+ * @param {THREE.Group} group - The group created by createBaseGroup().
+ * @param {File} file
+ * @param {{[k1:string]:{[k2:string]:THREE.Material}}} ms - The materials.
+ * @return {Promise<boolean>} Whether the model is loaded.
+ */
+export async function loadBaseFromFile(group, file, ms) {
+  const url = URL.createObjectURL(file);
+  const model = await loadBaseModel(url, file.name);
+  URL.revokeObjectURL(url);
+  if (!model) return false;
+
+  const id = THREE.MathUtils.generateUUID(); // Unique also in the designs saved in the other sessions.
+  models.set(id, model);
+  const base = { name: file.name, url: null, id };
+  setBaseModel(group, cloneModel(model), base, ms);
+  return true;
+}
+
+/**
+ * @param {THREE.Group} group - The group created by createBaseGroup().
+ * @returns {Object} baseObj
+ */
+export function saveBase(group) {
+  const { name, url, id } = group.userData.base;
+  return {
+    name,
+    url,
+    id,
+    position: group.position.toArray(),
+    rotation: [group.rotation.x, group.rotation.y, group.rotation.z],
+    scale: group.scale.x,
+    pose: savePose(group),
+  };
+}
+
+/**
+ * Load the base saved by saveBase().
+ * The model is loaded only if it differs from the current one.
+ * A local file that has not been loaded in this session can't be restored, so the current model is kept.
+ *
+ * @param {THREE.Group} group - The group created by createBaseGroup().
+ * @param {Object} baseObj
+ * @param {{[k1:string]:{[k2:string]:THREE.Material}}} ms - The materials.
+ * @return {Promise<boolean>} Whether the model is replaced.
+ */
+export async function loadBase(group, baseObj, ms) {
+  group.position.fromArray(baseObj.position);
+  group.rotation.set(...baseObj.rotation);
+  group.scale.setScalar(baseObj.scale);
+
+  const { name, url, id } = group.userData.base;
+  const baseId = baseObj.id ?? null;
+  let isChanged = false;
+  if (baseObj.name !== name || baseObj.url !== url || baseId !== id) {
+    if (baseObj.url) {
+      isChanged = await loadBaseFromUrl(group, baseObj.name, baseObj.url, ms);
+    } else if (models.has(baseId)) {
+      const base = { name: baseObj.name, url: null, id: baseId };
+      setBaseModel(group, cloneModel(models.get(baseId)), base, ms);
+      isChanged = true;
+    } else {
+      console.warn(
+        `the base model(${baseObj.name}) is a local file. Load it again.`
+      );
+    }
+  }
+
+  if (baseObj.pose) loadPose(group, baseObj.pose);
+
+  return isChanged;
+}
+
+/**
+ * @param {GUI} gui
+ * @param {THREE.Group} group - The group created by createBaseGroup().
+ * @param {()=>void} loadCallback - The callback that is invoked by "load".
+ * @param {()=>void} changeCallback - The callback that is invoked after moving, rotating, scaling or hiding the base model.
+ */
+export function setBaseGUI(
+  gui,
+  group,
+  loadCallback,
+  changeCallback = () => {}
+) {
+  const scale = {
+    get scale() {
+      return group.scale.x;
+    },
+    set scale(v) {
+      group.scale.setScalar(v);
+    },
+  };
+
+  const folder = gui.addFolder("Base").close();
+  folder.add({ load: loadCallback }, "load").name("load (or drop a file)");
+  folder.add(group.userData.base, "name").disable().listen();
+  folder.add(group, "visible").onChange(changeCallback);
+  ["x", "y", "z"].forEach((k) => {
+    folder
+      .add(group.position, k)
+      .name(`position.${k}`)
+      .step(0.01)
+      .listen()
+      .onChange(changeCallback);
+  });
+  ["x", "y", "z"].forEach((k) => {
+    folder
+      .add(group.rotation, k, -Math.PI, Math.PI, 0.01)
+      .name(`rotation.${k}`)
+      .listen()
+      .onChange(changeCallback);
+  });
+  folder
+    .add(scale, "scale")
+    .min(0.01)
+    .step(0.01)
+    .listen()
+    .onChange(changeCallback);
+}
+
+/**
+ * Clone the model so that the cached one is not changed by setBaseModel().
+ * SkeletonUtils.clone() keeps the bindings of the skinned meshes.
+ *
+ * @param {THREE.Object3D} model
+ * @return {THREE.Object3D}
+ */
+function cloneModel(model) {
+  return cloneSkinned(model);
+}
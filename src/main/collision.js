@@ -0,0 +1,102 @@
+import * as THREE from "three";
+
+import { GUI } from "lil-gui";
+import { Costume } from "../curve/costume.js";
+import { getVisibleTubeMeshesOfCostume } from "../object-3d/group/costume.js";
+import { createInsideTest } from "../math/mesh.js";
+import { createEmptyGeometry } from "../geometry/empty.js";
+
+/**
+ * The inside tests of the bodies with the states they are created in. See getInsideTest().
+ *
+ * @type {WeakMap<THREE.Mesh,{test:(point:THREE.Vector3)=>boolean,state:Array<number>}>}
+ */
+const insideTests = new WeakMap();
+
+/**
+ * Find the vertices of the visible tube meshes inside the body.
+ *
+ * @param {Costume} co
+ * @param {THREE.Group} group - The costume group created by createCostumeGroup().
+ * @param {Array<THREE.Mesh>} bodies - The meshes of the base model.
+ * @return {Array<THREE.Vector3>} The vertices in world coordinates.
+ */
+export function findPenetratingVertices(co, group, bodies) {
+  const tests = bodies.map((body) => getInsideTest(body));
+  const isInside = (v) => tests.some((test) => test(v));
+  const vertices = [];
+
+  group.updateMatrixWorld();
+  getVisibleTubeMeshesOfCostume(co, group).forEach(({ mesh }) => {
+    const position = mesh.geometry.getAttribute("position");
+    for (let i = 0; i < position.count; i++) {
+      const v = new THREE.Vector3().fromBufferAttribute(position, i);
+      v.applyMatrix4(mesh.matrixWorld);
+      if (isInside(v)) vertices.push(v);
+    }
+  });
+
+  return vertices;
+}
+
+/**
+ * Get the inside test of the body created by createInsideTest().
+ * It is reused until the body is moved, posed or morphed, since building its grid is costly.
+ *
+ * @param {THREE.Mesh} body
+ * @return {(point:THREE.Vector3)=>boolean}
+ */
+function getInsideTest(body) {
+  body.updateWorldMatrix(true, false);
+  const state = [
+    ...body.matrixWorld.elements,
+    ...(body.skeleton?.boneMatrices ?? []),
+    ...(body.morphTargetInfluences ?? []),
+  ];
+
+  const cached = insideTests.get(body);
+  if (
+    cached?.state.length === state.length &&
+    cached.state.every((v, i) => v === state[i])
+  ) {
+    return cached.test;
+  }
+
+  const test = createInsideTest(body);
+  insideTests.set(body, { test, state });
+  return test;
+}
+
+/**
+ * Create the points that highlight the vertices found by findPenetratingVertices().
+ *
+ * @param {{[k1:string]:{[k2:string]:THREE.Material}}} ms - The materials.
+ * @return {THREE.Points}
+ */
+export function createCollisionPoints(ms) {
+  const points = new THREE.Points(createEmptyGeometry(), ms.collision.points);
+  points.renderOrder = 1; // Draw them over the tubes.
+  return points;
+}
+
+/**
+ * @param {THREE.Points} points - The points created by createCollisionPoints().
+ * @param {Array<THREE.Vector3>} vertices
+ */
+export function updateCollisionPoints(points, vertices) {
+  points.geometry.dispose();
+  points.geometry = new THREE.BufferGeometry().setFromPoints(vertices);
+}
+
+/**
+ * @param {GUI} gui
+ * @param {()=>void} checkCallback - The callback that is invoked by "check".
+ * @param {{count:number}} result - The result of the last check.
+ * @param {THREE.Points} points - The points created by createCollisionPoints().
+ */
+export function setCollisionGUI(gui, checkCallback, result, points) {
+  const folder = gui.addFolder("Collision").close();
+  folder.add({ check: checkCallback }, "check");
+  folder.add(result, "count").name("penetrating vertices").disable().listen();
+  folder.add(points, "visible").name("highlight");
+}
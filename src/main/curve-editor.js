@@ -0,0 +1,417 @@
+import * as THREE from "three";
+
+import { GUI } from "lil-gui";
+import { Tube } from "../curve/tube.js";
+import { Curve2 } from "../curve/curve-2.js";
+import { ControlPoint2 } from "../curve/control-point-2.js";
+import { getProfilePoint } from "../geometry/tube-base.js";
+
+/**
+ * The profile curves of Tube.parameters and their colors in the editor.
+ */
+const profileColors = {
+  scaleC: "#ff6666",
+  xScaleC: "#ffaa33",
+  yScaleC: "#eeee55",
+  xCurvatureC: "#66dd66",
+  yCurvatureC: "#55dddd",
+  tiltC: "#dd77ff",
+};
+const keys = ["leftPos", "middlePos", "rightPos"]; // The order of cp.getPoints().
+const width = 480;
+const height = 240;
+const margin = 28; // The space for the labels of the grid.
+const pickRadius = 8; // In CSS pixels.
+const samples = 100; // The number of the divisions to draw and read out the curves.
+
+/**
+ * @typedef {Object} CurveEditor
+ * @property {HTMLCanvasElement} canvas - The overlay at the bottom left of the window.
+ * @property {boolean} visible
+ * @property {{[key:string]:boolean}} profiles - Whether to show each profile curve.
+ * @property {?Tube} tube - The tube whose profile curves are edited. Set it by updateCurveEditor().
+ * @property {{min:THREE.Vector2,max:THREE.Vector2}} view - The range of the curve coordinates in the graph.
+ * @property {?THREE.Vector2} pointer - The pointer position in CSS pixels, or null if it is outside.
+ * @property {?{name:string,cp:ControlPoint2,index:number,key:string}} dragged
+ */
+
+/**
+ * Create the 2D graph editor of the profile curves, like an animation curve editor.
+ * The horizontal axis is x of the curves and the vertical axis is their value y.
+ * The ticks on each curve mark u = 0, 0.1, ..., 1, where the tube samples the curve.
+ * Drag a point of a control point to move it.
+ *
+ * @param {()=>void} finishCallback - The callback that is invoked after dragging.
+ * @return {CurveEditor}
+ */
+export function createCurveEditor(finishCallback = () => {}) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width * window.devicePixelRatio;
+  canvas.height = height * window.devicePixelRatio;
+  Object.assign(canvas.style, {
+    position: "fixed",
+    left: "8px",
+    bottom: "8px",
+    width: `${width}px`,
+    height: `${height}px`,
+    background: "rgba(0, 0, 0, 0.7)",
+    borderRadius: "4px",
+    display: "none",
+  });
+  document.body.appendChild(canvas);
+
+  /** @type {CurveEditor} */
+  const editor = {
+    canvas,
+    visible: false,
+    profiles: Object.fromEntries(
+      Object.keys(profileColors).map((k) => [k, true])
+    ),
+    tube: null,
+    view: { min: new THREE.Vector2(0, 0), max: new THREE.Vector2(1, 1) },
+    pointer: null,
+    dragged: null,
+  };
+
+  canvas.addEventListener("pointerdown", (e) => {
+    editor.pointer = getPointer(canvas, e);
+    editor.dragged = pick(editor, editor.pointer);
+    if (editor.dragged) canvas.setPointerCapture(e.pointerId);
+  });
+  canvas.addEventListener("pointermove", (e) => {
+    editor.pointer = getPointer(canvas, e);
+    if (!editor.dragged) return;
+
+    const { cp, key } = editor.dragged;
+    const v = toCurve(editor.view, editor.pointer);
+    cp[key].x = v.x;
+    cp[key].y = v.y;
+    cp._updateFromKey(key); // Set it in advance using setGUI() in ./src/curve/control-point-2.js.
+  });
+  const finishDragging = () => {
+    if (!editor.dragged) return;
+    editor.dragged = null;
+    finishCallback();
+  };
+  canvas.addEventListener("pointerup", finishDragging);
+  canvas.addEventListener("pointercancel", finishDragging);
+  canvas.addEventListener("lostpointercapture", finishDragging);
+  canvas.addEventListener("pointerleave", () => {
+    if (!editor.dragged) editor.pointer = null;
+  });
+
+  return editor;
+}
+
+/**
+ * Draw the profile curves of the part. Call it every frame.
+ *
+ * @param {CurveEditor} editor
+ * @param {*} part - The selected part. Only a Tube has the profile curves.
+ */
+export function updateCurveEditor(editor, part) {
+  const tube = part instanceof Tube ? part : null;
+  if (tube !== editor.tube) editor.dragged = null; // The selection is changed while dragging.
+  editor.tube = tube;
+  if (!editor.visible) return;
+
+  const curves = getShownCurves(editor);
+  if (!editor.dragged) fitView(editor.view, curves); // Keep the view while dragging.
+
+  const ctx = editor.canvas.getContext("2d");
+  ctx.setTransform(
+    window.devicePixelRatio,
+    0,
+    0,
+    window.devicePixelRatio,
+    0,
+    0
+  );
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = "10px sans-serif";
+  drawGrid(ctx, editor.view);
+
+  curves.forEach(({ name, c }) => {
+    const color = profileColors[name];
+    const points = c.getSpacedPoints(samples);
+    const screen = points.map((v) => toScreen(editor.view, v));
+
+    // The curve
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    screen.forEach((v, i) =>
+      (i === 0 ? ctx.moveTo : ctx.lineTo).call(ctx, v.x, v.y)
+    );
+    ctx.stroke();
+
+    // The u ticks
+    ctx.fillStyle = color;
+    getProfilePoints(editor, c)
+      .filter((_, i) => i % (samples / 10) === 0)
+      .map((v) => toScreen(editor.view, v))
+      .forEach((v) => ctx.fillRect(v.x - 1, v.y - 4, 2, 8));
+
+    // The control points
+    c.cps.forEach((cp) => {
+      const [l, m, r] = cp.getPoints().map((v) => toScreen(editor.view, v));
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(l.x, l.y);
+      ctx.lineTo(m.x, m.y);
+      ctx.lineTo(r.x, r.y);
+      ctx.stroke();
+      ctx.fillRect(m.x - 3, m.y - 3, 6, 6);
+      [l, r].forEach((v) => {
+        ctx.beginPath();
+        ctx.arc(v.x, v.y, 2.5, 0, Math.PI * 2);
+        ctx.fill();
+      });
+    });
+  });
+
+  drawReadout(ctx, editor, curves);
+}
+
+/**
+ * @param {GUI} gui
+ * @param {CurveEditor} editor
+ */
+export function setCurveEditorGUI(gui, editor) {
+  const folder = gui.addFolder("CurveEditor").close();
+  folder.add(editor, "visible").onChange((v) => {
+    editor.canvas.style.display = v ? "block" : "none";
+    editor.dragged = null;
+  });
+  const pFolder = folder.addFolder("profiles");
+  Object.keys(profileColors).forEach((k) => pFolder.add(editor.profiles, k));
+}
+
+/**
+ * @param {CurveEditor} editor
+ * @returns {Array<{name:string,c:Curve2}>} The profile curves shown in the editor.
+ */
+function getShownCurves(editor) {
+  if (!editor.tube) return [];
+  return Object.keys(profileColors)
+    .filter((name) => editor.profiles[name])
+    .map((name) => ({ name, c: editor.tube.parameters[name] }))
+    .filter(({ c }) => c.curves.length > 0); // It has at least two cps.
+}
+
+/**
+ * @param {CurveEditor} editor
+ * @param {Curve2} c - A profile curve of editor.tube.
+ * @returns {Array<THREE.Vector2>} The points where the tube samples the curve at u = 0, 1 / samples, ..., 1.
+ */
+function getProfilePoints(editor, c) {
+  const profileSampling = editor.tube.parameters.profileSampling;
+  return [...Array(samples + 1).keys()].map((i) =>
+    getProfilePoint(c, i / samples, profileSampling)
+  );
+}
+
+/**
+ * Fit the view to the control points including the handles and the curves with some space around them.
+ *
+ * @param {{min:THREE.Vector2,max:THREE.Vector2}} view
+ * @param {Array<{name:string,c:Curve2}>} curves
+ */
+function fitView(view, curves) {
+  const box = new THREE.Box2();
+  curves.forEach(({ c }) => {
+    c.cps.forEach((cp) => {
+      cp.getPoints().forEach((v) => box.expandByPoint(v)); // The handles can be dragged too.
+    });
+    c.getSpacedPoints(samples).forEach((v) => box.expandByPoint(v));
+  });
+  if (box.isEmpty()) box.set(new THREE.Vector2(0, 0), new THREE.Vector2(1, 1));
+
+  // A constant curve would have no height.
+  const size = box.getSize(new THREE.Vector2());
+  box.expandByVector(
+    new THREE.Vector2(
+      Math.max(size.x * 0.05, 0.5 - size.x / 2, 0),
+      Math.max(size.y * 0.1, 0.5 - size.y / 2, 0)
+    )
+  );
+  view.min.copy(box.min);
+  view.max.copy(box.max);
+}
+
+/**
+ * @param {{min:THREE.Vector2,max:THREE.Vector2}} view
+ * @param {THREE.Vector2} v - The position in the curve coordinates.
+ * @returns {THREE.Vector2} The position in CSS pixels.
+ */
+function toScreen(view, v) {
+  return new THREE.Vector2(
+    margin +
+      ((v.x - view.min.x) / (view.max.x - view.min.x)) * (width - margin),
+    (1 - (v.y - view.min.y) / (view.max.y - view.min.y)) * (height - margin)
+  );
+}
+
+/**
+ * @param {{min:THREE.Vector2,max:THREE.Vector2}} view
+ * @param {THREE.Vector2} p - The position in CSS pixels.
+ * @returns {THREE.Vector2} The position in the curve coordinates.
+ */
+function toCurve(view, p) {
+  return new THREE.Vector2(
+    view.min.x +
+      ((p.x - margin) / (width - margin)) * (view.max.x - view.min.x),
+    view.min.y + (1 - p.y / (height - margin)) * (view.max.y - view.min.y)
+  );
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @param {PointerEvent} e
+ * @returns {THREE.Vector2} The pointer position in CSS pixels.
+ */
+function getPointer(canvas, e) {
+  const rect = canvas.getBoundingClientRect();
+  return new THREE.Vector2(e.clientX - rect.left, e.clientY - rect.top);
+}
+
+/**
+ * Find the point of the control points nearest to the pointer.
+ *
+ * @param {CurveEditor} editor
+ * @param {THREE.Vector2} pointer
+ * @returns {?{name:string,cp:ControlPoint2,index:number,key:string}} null if no point is near.
+ */
+function pick(editor, pointer) {
+  let picked = null;
+  let nearest = pickRadius;
+  getShownCurves(editor).forEach(({ name, c }) => {
+    c.cps.forEach((cp, index) => {
+      cp.getPoints().forEach((v, i) => {
+        // The middle points have priority over the handles on them,
+        // and the curves drawn later (on top) have priority over the others.
+        const distance =
+          toScreen(editor.view, v).distanceTo(pointer) + (i === 1 ? 0 : 0.5);
+        if (distance <= nearest) {
+          nearest = distance;
+          picked = { name, cp, index, key: keys[i] };
+        }
+      });
+    });
+  });
+  return picked;
+}
+
+/**
+ * Draw the grid with the labels of x (bottom) and the value y (left).
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {{min:THREE.Vector2,max:THREE.Vector2}} view
+ */
+function drawGrid(ctx, view) {
+  ctx.lineWidth = 1;
+  ctx.strokeStyle = "rgba(255, 255, 255, 0.15)";
+  ctx.fillStyle = "rgba(255, 255, 255, 0.6)";
+
+  ctx.textAlign = "center";
+  ctx.textBaseline = "top";
+  getGridValues(view.min.x, view.max.x).forEach((x) => {
+    const sx = toScreen(view, new THREE.Vector2(x, view.min.y)).x;
+    ctx.beginPath();
+    ctx.moveTo(sx, 0);
+    ctx.lineTo(sx, height - margin);
+    ctx.stroke();
+    ctx.fillText(formatValue(x), sx, height - margin + 4);
+  });
+
+  ctx.textAlign = "right";
+  ctx.textBaseline = "middle";
+  getGridValues(view.min.y, view.max.y).forEach((y) => {
+    const sy = toScreen(view, new THREE.Vector2(view.min.x, y)).y;
+    ctx.beginPath();
+    ctx.moveTo(margin, sy);
+    ctx.lineTo(width, sy);
+    ctx.stroke();
+    ctx.fillText(formatValue(y), margin - 3, sy);
+  });
+}
+
+/**
+ * Draw the values of the curves at x of the pointer, or the dragged point.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {CurveEditor} editor
+ * @param {Array<{name:string,c:Curve2}>} curves
+ */
+function drawReadout(ctx, editor, curves) {
+  ctx.textAlign = "left";
+  ctx.textBaseline = "top";
+
+  if (editor.dragged) {
+    const { name, cp, index, key } = editor.dragged;
+    const v = cp[key];
+    ctx.fillStyle = profileColors[name];
+    ctx.fillText(
+      `${name} cp${index}.${key}: (${formatValue(v.x)}, ${formatValue(v.y)})`,
+      margin + 6,
+      6
+    );
+    return;
+  }
+
+  if (!editor.pointer) {
+    if (!editor.tube) {
+      ctx.fillStyle = "rgba(255, 255, 255, 0.6)";
+      ctx.fillText("Select a tube to edit its profile curves.", margin + 6, 6);
+    }
+    return;
+  }
+
+  const x = toCurve(editor.view, editor.pointer).x;
+  const sx = editor.pointer.x;
+  ctx.strokeStyle = "rgba(255, 255, 255, 0.4)";
+  ctx.beginPath();
+  ctx.moveTo(sx, 0);
+  ctx.lineTo(sx, height - margin);
+  ctx.stroke();
+
+  // The sample nearest to x in each curve.
+  curves.forEach(({ name, c }, i) => {
+    const points = getProfilePoints(editor, c);
+    const k = points.reduce(
+      (a, v, j) => (Math.abs(v.x - x) < Math.abs(points[a].x - x) ? j : a),
+      0
+    );
+    ctx.fillStyle = profileColors[name];
+    ctx.fillText(
+      `${name}: u=${(k / samples).toFixed(2)} y=${formatValue(points[k].y)}`,
+      margin + 6,
+      6 + i * 12
+    );
+  });
+}
+
+/**
+ * @param {number} min
+ * @param {number} max
+ * @returns {Array<number>} The values of the grid lines with the step of 1, 2 or 5 times a power of 10.
+ */
+function getGridValues(min, max) {
+  const rough = (max - min) / 5;
+  const power = Math.pow(10, Math.floor(Math.log10(rough)));
+  const step = [1, 2, 5, 10].find((v) => v * power >= rough) * power;
+
+  const values = [];
+  for (let v = Math.ceil(min / step) * step; v <= max; v += step) {
+    values.push(Math.abs(v) < step * 1e-6 ? 0 : v);
+  }
+  return values;
+}
+
+/**
+ * @param {number} v
+ * @returns {string}
+ */
+function formatValue(v) {
+  return String(Number(v.toFixed(3)));
+}
@@ -0,0 +1,80 @@
+/**
+ * designObj = {
+ *   format: "costume-design",
+ *   version: number,
+ *   c: Object, // Costume.toJSON()
+ *   gui: Object, // saveGui()
+ *   closed: Object, // saveClosed()
+ *   materials: Object, // saveMaterials()
+ *   base?: Object // saveBase()
+ * }
+ */
+
+export const designFormat = "costume-design";
+export const designVersion = 1;
+export const designExtension = ".costume.json";
+
+/**
+ * The types of the parts that Costume.fromJSON() can create.
+ */
+const partTypes = ["Tube", "Curve3", "Curve2"];
+
+/**
+ * Serialize the design into the text of a design file.
+ *
+ * @param {{c:Object,gui:Object,closed:Object,materials:Object}} obj
+ * @param {boolean} [isCompact=false] - Whether to omit the indentation, e.g. for localStorage.
+ * @returns {string}
+ */
+export function stringifyDesign(obj, isCompact = false) {
+  return JSON.stringify(
+    { format: designFormat, version: designVersion, ...obj },
+    null,
+    isCompact ? undefined : 2
+  );
+}
+
+/**
+ * Parse the text of a design file.
+ * Throw an Error with a readable message if the text is not a valid design.
+ *
+ * @param {string} text
+ * @returns {Object} designObj
+ */
+export function parseDesign(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`the design file is not valid JSON: ${e.message}`);
+  }
+
+  if (json?.format !== designFormat) {
+    throw new Error(`the file is not a design file (format: ${json?.format}).`);
+  }
+  if (!Number.isInteger(json.version) || json.version < 1) {
+    throw new Error(`the design file version(${json.version}) is unknown.`);
+  }
+  if (json.version > designVersion) {
+    throw new Error(
+      `the design file version(${json.version}) is newer than the supported version(${designVersion}).`
+    );
+  }
+  ["c", "gui", "closed", "materials"].forEach((k) => {
+    if (typeof json[k] !== "object" || json[k] === null) {
+      throw new Error(`the design file is malformed: "${k}" is missing.`);
+    }
+  });
+  if (!Array.isArray(json.c.parts) || json.c.parts.length === 0) {
+    throw new Error(`the design file is malformed: "c.parts" is empty.`);
+  }
+  json.c.parts.forEach((p, i) => {
+    if (!partTypes.includes(p?.type)) {
+      throw new Error(
+        `the design file is malformed: the type(${p?.type}) of "c.parts.${i}" is unknown.`
+      );
+    }
+  });
+
+  return json;
+}
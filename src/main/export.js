@@ -0,0 +1,230 @@
+import * as THREE from "three";
+
+import { GLTFExporter } from "three/addons/exporters/GLTFExporter.js";
+import { OBJExporter } from "three/addons/exporters/OBJExporter.js";
+import { STLExporter } from "three/addons/exporters/STLExporter.js";
+import { GUI } from "lil-gui";
+import { Costume } from "../curve/costume.js";
+import { getVisibleTubeMeshesOfCostume } from "../object-3d/group/costume.js";
+import { createWatertightGeometry } from "../geometry/watertight.js";
+import { createSkinnedTubeMeshes, cloneBones } from "./skin.js";
+import { sampleFrames, addMorphTargets } from "./animation.js";
+
+/**
+ * @typedef {Object} ExportSettings
+ * @property {boolean} vertexColors - Whether to bake the toon shading into the vertex colors of GLB.
+ * @property {boolean} animation - Whether to export the timeline as the morph targets of GLB.
+ * @property {boolean} capEnds - Whether to cap the open tube ends of STL.
+ * @property {boolean} weld - Whether to weld the seam vertices of STL.
+ */
+
+/**
+ * Export every visible tube mesh to GLB.
+ * The toon uniforms are baked into MeshStandardMaterial and its extras.
+ * The tubes bound to the bones (see Tube.bindBones) are exported as skinned meshes with the bones of the base model.
+ * The timeline is exported as an animation of the morph targets sampled at its fps.
+ *
+ * @param {Costume} co
+ * @param {THREE.Group} group - The costume group created by createCostumeGroup().
+ * @param {ExportSettings} settings
+ * @param {THREE.Object3D} base - The group created by createBaseGroup().
+ * @return {Promise<Blob>}
+ */
+export async function exportGLB(co, group, settings, base) {
+  const scene = new THREE.Scene();
+
+  const { roots, bones } = cloneBones(base);
+  const skinned = new Map(
+    createSkinnedTubeMeshes(co, group, base, (b) => bones.get(b)).map((v) => [
+      v.mesh,
+      v.skinned,
+    ])
+  );
+  if (skinned.size !== 0) scene.add(...roots);
+
+  const isAnimated = settings.animation && co.timeline.tracks.length !== 0;
+  const frames = isAnimated ? sampleFrames(co, group) : null;
+  const tracks = [];
+
+  getVisibleTubeMeshesOfCostume(co, group).forEach(({ name, mesh }) => {
+    const toon = mesh.material;
+    const m = skinned.get(mesh) ?? new THREE.Mesh(mesh.geometry.clone());
+    if (!m.isSkinnedMesh) m.applyMatrix4(mesh.matrixWorld);
+    if (settings.vertexColors) setToonVertexColors(m.geometry, toon);
+
+    m.material = createMToonLikeMaterial(toon, settings.vertexColors);
+    m.name = name;
+    scene.add(m);
+
+    if (!frames) return;
+    const matrix = m.isSkinnedMesh ? mesh.matrixWorld : new THREE.Matrix4();
+    const track = addMorphTargets(m, mesh, frames, matrix);
+    if (track) tracks.push(track);
+  });
+  if (scene.children.length === 0) throw new Error("no visible tube.");
+
+  const animations =
+    tracks.length !== 0
+      ? [new THREE.AnimationClip("timeline", co.timeline.duration, tracks)]
+      : [];
+  const glb = await new GLTFExporter().parseAsync(scene, {
+    binary: true,
+    animations,
+  });
+  return new Blob([glb], { type: "model/gltf-binary" });
+}
+
+/**
+ * Export every visible tube mesh to OBJ with the normals and UVs of the tube geometry.
+ *
+ * @param {Costume} co
+ * @param {THREE.Group} group - The costume group created by createCostumeGroup().
+ * @param {ExportSettings} settings
+ * @return {Promise<Blob>}
+ */
+export async function exportOBJ(co, group, settings) {
+  const scene = createExportScene(co, group, (mesh) => mesh.geometry.clone());
+  const obj = new OBJExporter().parse(scene);
+  return new Blob([obj], { type: "model/obj" });
+}
+
+/**
+ * Export every visible tube mesh to binary STL.
+ * The ends are capped and the seams are welded according to the settings.
+ *
+ * @param {Costume} co
+ * @param {THREE.Group} group - The costume group created by createCostumeGroup().
+ * @param {ExportSettings} settings
+ * @return {Promise<Blob>}
+ */
+export async function exportSTL(co, group, settings) {
+  const scene = createExportScene(co, group, (mesh) =>
+    createWatertightGeometry(
+      mesh.geometry,
+      settings.capEnds,
+      settings.weld,
+      mesh.userData.isMirror === true
+    )
+  );
+  const stl = new STLExporter().parse(scene, { binary: true });
+  return new Blob([stl], { type: "model/stl" });
+}
+
+/**
+ * The exporters for each file extension.
+ *
+ * @type {{[format:string]:(co:Costume,group:THREE.Group,settings:Object,base:THREE.Object3D)=>Promise<Blob>}}
+ */
+export const exporters = {
+  glb: exportGLB,
+  obj: exportOBJ,
+  stl: exportSTL,
+};
+
+/**
+ * @param {GUI} gui
+ * @param {(format:string)=>void} exportCallback - The callback that is invoked by each export.
+ * @param {ExportSettings} settings
+ */
+export function setExportGUI(gui, exportCallback, settings) {
+  const folder = gui.addFolder("Export").close();
+  Object.keys(exporters).forEach((format) => {
+    folder.add({ [format]: () => exportCallback(format) }, format);
+  });
+  folder.add(settings, "vertexColors").name("glb.vertexColors");
+  folder.add(settings, "animation").name("glb.animation");
+  folder.add(settings, "capEnds").name("stl.capEnds");
+  folder.add(settings, "weld").name("stl.weld");
+}
+
+/**
+ * Create a scene of the visible tube meshes in the world coordinates.
+ *
+ * @param {Costume} co
+ * @param {THREE.Group} group - The costume group created by createCostumeGroup().
+ * @param {(mesh:THREE.Mesh)=>THREE.BufferGeometry} createGeometry - Create the geometry to export from the tube mesh.
+ * @return {THREE.Scene}
+ */
+function createExportScene(co, group, createGeometry) {
+  const scene = new THREE.Scene();
+
+  getVisibleTubeMeshesOfCostume(co, group).forEach(({ name, mesh }) => {
+    const m = new THREE.Mesh(createGeometry(mesh));
+    m.name = name;
+    m.applyMatrix4(mesh.matrixWorld);
+    m.updateMatrixWorld();
+    scene.add(m);
+  });
+  if (scene.children.length === 0) throw new Error("no visible tube.");
+
+  return scene;
+}
+
+/**
+ * Create a material compatible with glTF from the toon material.
+ * The shading parameters are written to the extras like MToon of VRM.
+ *
+ * @param {THREE.ShaderMaterial} toon - The material created by createToonMaterial().
+ * @param {boolean} vertexColors - Whether the colors are baked into the vertex colors.
+ * @return {THREE.MeshStandardMaterial}
+ */
+function createMToonLikeMaterial(toon, vertexColors) {
+  const u = toon.uniforms;
+  const material = new THREE.MeshStandardMaterial({
+    color: vertexColors ? 0xffffff : toLinear(u.baseColor.value),
+    metalness: 0,
+    roughness: 1,
+    side: toon.side,
+    vertexColors: vertexColors,
+  });
+  material.name = "toon";
+
+  // lit: dot(N, L) * 0.5 + 0.5 > threshold <=> dot(N, L) + (1 - 2 * threshold) > 0
+  material.userData.mtoon = {
+    shadeColorFactor: toLinear(u.shadeColor.value).toArray(),
+    shadingShiftFactor: 1 - 2 * u.threshold.value,
+    shadingToonyFactor: 1,
+    lightDirection: u.lightPos.value.clone().normalize().toArray(),
+  };
+
+  return material;
+}
+
+/**
+ * Bake the toon shading into the vertex colors of the geometry.
+ *
+ * @param {THREE.BufferGeometry} geometry
+ * @param {THREE.ShaderMaterial} toon - The material created by createToonMaterial().
+ */
+function setToonVertexColors(geometry, toon) {
+  const u = toon.uniforms;
+  const baseColor = toLinear(u.baseColor.value);
+  const shadeColor = toLinear(u.shadeColor.value);
+  const lightDir = u.lightPos.value.clone().normalize();
+
+  const normal = geometry.getAttribute("normal");
+  const n = new THREE.Vector3();
+  const colors = [];
+  for (let i = 0; i < normal.count; i++) {
+    n.fromBufferAttribute(normal, i);
+    const isLit = n.dot(lightDir) * 0.5 + 0.5 > u.threshold.value;
+    colors.push(...(isLit ? baseColor : shadeColor).toArray());
+  }
+  geometry.setAttribute("color", new THREE.Float32BufferAttribute(colors, 3));
+}
+
+/**
+ * The toon colors are output without color space conversion (see createRenderer()),
+ * so treat them as sRGB and convert them to linear for glTF.
+ *
+ * @param {THREE.Color} color
+ * @return {THREE.Color}
+ */
+function toLinear(color) {
+  return new THREE.Color().setRGB(
+    color.r,
+    color.g,
+    color.b,
+    THREE.SRGBColorSpace
+  );
+}
@@ -0,0 +1,47 @@
+import { GUI } from "lil-gui";
+
+/**
+ * Download the blob as a file.
+ *
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+export function downloadFile(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url)); // After the download starts.
+}
+
+/**
+ * Let the user pick a file.
+ *
+ * @param {string} accept - The file types to accept, e.g. ".json".
+ * @return {Promise<?File>} The picked file, or null if canceled.
+ */
+export function pickFile(accept = "") {
+  return new Promise((resolve) => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = accept;
+    input.addEventListener("change", () => resolve(input.files[0] ?? null));
+    input.addEventListener("cancel", () => resolve(null));
+    input.click();
+  });
+}
+
+/**
+ * @param {GUI} gui
+ * @param {()=>void} saveCallback - The callback that is invoked by "save".
+ * @param {()=>void} openCallback - The callback that is invoked by "open".
+ * @param {{enabled:boolean,undos:boolean}} autosave - The autosave settings.
+ */
+export function setFileGUI(gui, saveCallback, openCallback, autosave) {
+  const folder = gui.addFolder("File").close();
+  folder.add({ save: saveCallback }, "save").name("save (Ctrl+S)");
+  folder.add({ open: openCallback }, "open").name("open (Ctrl+O)");
+  folder.add(autosave, "enabled").name("autosave");
+  folder.add(autosave, "undos").name("autosave undos");
+}
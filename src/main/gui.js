@@ -60,6 +60,7 @@ export function saveClosed(gui) {
  * @param {Object} closedObj
  */
 export function loadClosed(gui, closedObj) {
+  if (!closedObj) return; // The folder is not saved.
   gui.open(!closedObj._closed);
   gui.folders.map((f) => loadClosed(f, closedObj.folders[f._title]));
 }
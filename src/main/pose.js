@@ -0,0 +1,178 @@
+import * as THREE from "three";
+
+import { GUI } from "lil-gui";
+
+/**
+ * poseObj = {
+ *   [boneName]: [x, y, z, w] // The quaternion of the bone.
+ * }
+ */
+
+/**
+ * The patterns of the upper arm bone names, e.g. "leftUpperArm" (VRM), "J_Bip_L_UpperArm" (VRoid) and "LeftArm" (Mixamo).
+ */
+const upperArmPatterns = [/upper_?arm/i, /^(mixamorig:?)?(left|right)arm$/i];
+
+/**
+ * Get the bones of the skinned meshes in the object.
+ *
+ * @param {THREE.Object3D} object - The group created by createBaseGroup().
+ * @return {Array<THREE.Bone>}
+ */
+export function getBones(object) {
+  const bones = new Set();
+  object.traverse((o) => {
+    if (o.isSkinnedMesh) o.skeleton.bones.forEach((b) => bones.add(b));
+  });
+  return [...bones];
+}
+
+/**
+ * @param {THREE.Object3D} object - The group created by createBaseGroup().
+ * @returns {Object} poseObj
+ */
+export function savePose(object) {
+  return getBones(object).reduce(
+    (o, b) => ({ ...o, [b.name]: b.quaternion.toArray() }),
+    {}
+  );
+}
+
+/**
+ * Load the pose saved by savePose(). The bones are matched by name.
+ *
+ * @param {THREE.Object3D} object - The group created by createBaseGroup().
+ * @param {Object} poseObj
+ */
+export function loadPose(object, poseObj) {
+  getBones(object).forEach((b) => {
+    if (poseObj[b.name]) b.quaternion.fromArray(poseObj[b.name]);
+  });
+}
+
+/**
+ * Reset the bones to the rest pose (the bind pose).
+ *
+ * @param {THREE.Object3D} object - The group created by createBaseGroup().
+ */
+export function resetPose(object) {
+  object.traverse((o) => {
+    if (o.isSkinnedMesh) o.skeleton.pose();
+  });
+}
+
+/**
+ * Rotate the upper arms so that the arms go sideways and down by the angle.
+ * 0 is T-pose and about 45 is A-pose.
+ *
+ * @param {THREE.Object3D} object - The group created by createBaseGroup().
+ * @param {number} angle - The angle below the horizontal (in degrees).
+ */
+export function setArmPose(object, angle) {
+  const upperArms = getBones(object).filter(
+    (b) =>
+      upperArmPatterns.some((p) => p.test(b.name)) &&
+      b.children.some((c) => c.isBone)
+  );
+  if (upperArms.length === 0) {
+    console.error("the upper arm bones are not found.");
+    return;
+  }
+
+  object.updateWorldMatrix(true, true);
+  const start = new THREE.Vector3();
+  const end = new THREE.Vector3();
+  const parentQ = new THREE.Quaternion();
+  const worldQ = new THREE.Quaternion();
+  const rotation = new THREE.Quaternion();
+  const objectQ = object.getWorldQuaternion(new THREE.Quaternion());
+  const rad = THREE.MathUtils.degToRad(angle);
+
+  upperArms.forEach((bone) => {
+    const child = bone.children.find((c) => c.isBone);
+    bone.getWorldPosition(start);
+    child.getWorldPosition(end);
+    const current = end.sub(start).normalize();
+
+    // The side of the arm is kept, and the direction is lowered by the angle.
+    // The directions are in the coordinates of the object, so that the rotated model is posed correctly.
+    const x = current.clone().applyQuaternion(objectQ.clone().invert()).x;
+    const side = Math.sign(x) || 1;
+    const target = new THREE.Vector3(side * Math.cos(rad), -Math.sin(rad), 0);
+    target.applyQuaternion(objectQ);
+
+    // Rotate the bone in world coordinates, then convert it to local.
+    rotation.setFromUnitVectors(current, target);
+    bone.getWorldQuaternion(worldQ).premultiply(rotation);
+    bone.parent.getWorldQuaternion(parentQ).invert();
+    bone.quaternion.copy(parentQ.multiply(worldQ));
+    bone.updateWorldMatrix(false, true);
+  });
+}
+
+/**
+ * Set the GUI to pose the skeleton. Call it again when the base model is replaced.
+ *
+ * @param {GUI} gui
+ * @param {THREE.Object3D} object - The group created by createBaseGroup().
+ * @param {()=>void} changeCallback - The callback that is invoked after posing by the buttons.
+ */
+export function setPoseGUI(gui, object, changeCallback) {
+  Array.from(gui.children)
+    .filter((v) => v._title === "Pose")
+    .forEach((v) => v.destroy());
+
+  const bones = getBones(object);
+  const folder = gui.addFolder("Pose").close();
+  if (bones.length === 0) {
+    folder.add({ message: "no skinned mesh" }, "message").disable();
+    return;
+  }
+
+  const obj = {
+    restPose: () => {
+      resetPose(object);
+      changeCallback();
+    },
+    tPose: () => {
+      setArmPose(object, 0);
+      changeCallback();
+    },
+    aPose: () => {
+      setArmPose(object, 45);
+      changeCallback();
+    },
+    bone: bones[0].name,
+  };
+  const euler = new THREE.Euler();
+  const rotation = {}; // The rotation of the selected bone in degrees.
+  ["x", "y", "z"].forEach((k) => {
+    Object.defineProperty(rotation, k, {
+      get: () => {
+        euler.setFromQuaternion(getBone().quaternion);
+        return THREE.MathUtils.radToDeg(euler[k]);
+      },
+      set: (v) => {
+        euler.setFromQuaternion(getBone().quaternion);
+        euler[k] = THREE.MathUtils.degToRad(v);
+        getBone().quaternion.setFromEuler(euler);
+      },
+    });
+  });
+
+  folder.add(obj, "restPose").name("rest pose");
+  folder.add(obj, "tPose").name("T-pose");
+  folder.add(obj, "aPose").name("A-pose");
+  folder.add(
+    obj,
+    "bone",
+    bones.map((b) => b.name)
+  );
+  ["x", "y", "z"].forEach((k) => {
+    folder.add(rotation, k, -180, 180, 1).name(`rotation.${k}`).listen();
+  });
+
+  function getBone() {
+    return bones.find((b) => b.name === obj.bone);
+  }
+}
@@ -0,0 +1,240 @@
+import * as THREE from "three";
+
+import { GUI } from "lil-gui";
+import { Costume } from "../curve/costume.js";
+import { getVisibleTubeMeshesOfCostume } from "../object-3d/group/costume.js";
+import { setSkinAttributes, getNearestU } from "../geometry/skin.js";
+import { disposeRecursively } from "./dispose.js";
+
+/**
+ * The pairs of the words swapped to get the bone on the other side, e.g. "leftUpperArm" (VRM), "J_Bip_L_UpperArm" (VRoid) and "upper_arm.L" (Blender).
+ */
+const sideWords = {
+  Left: "Right",
+  Right: "Left",
+  left: "right",
+  right: "left",
+  _L_: "_R_",
+  _R_: "_L_",
+  ".L": ".R",
+  ".R": ".L",
+};
+
+/**
+ * Parse the bone names of Tube.bindBones, e.g. "leftUpperArm, leftLowerArm".
+ *
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function parseBoneNames(text) {
+  return text
+    .split(",")
+    .map((v) => v.trim())
+    .filter((v) => v !== "");
+}
+
+/**
+ * Get the bones of the base model with their matrices in the rest pose (the bind pose) in world coordinates.
+ * The tubes are designed on the rest pose, so the tubes are bound with these matrices.
+ *
+ * @param {THREE.Object3D} object - The group created by createBaseGroup().
+ * @return {Map<string,{bone:THREE.Bone,matrix:THREE.Matrix4}>} The bones by name.
+ */
+export function getRestBones(object) {
+  const bones = new Map();
+
+  object.updateWorldMatrix(true, true);
+  object.traverse((o) => {
+    if (!o.isSkinnedMesh) return;
+
+    // A vertex is skinned by boneMatrixWorld * boneInverse in the space given by the bind mode,
+    // so the bone is at (that space) * boneInverse^-1 in the rest pose.
+    const space =
+      o.bindMode === THREE.DetachedBindMode
+        ? new THREE.Matrix4()
+        : o.matrixWorld.clone().multiply(o.bindMatrix.clone().invert());
+    o.skeleton.bones.forEach((bone, i) => {
+      if (bones.has(bone.name)) return;
+      const inverse = o.skeleton.boneInverses[i].clone().invert();
+      bones.set(bone.name, { bone, matrix: space.clone().multiply(inverse) });
+    });
+  });
+
+  return bones;
+}
+
+/**
+ * Create the skinned meshes of the visible tube meshes whose tubes have Tube.bindBones.
+ * The mirrored twin is bound to the bones on the other side if they exist.
+ *
+ * @param {Costume} co
+ * @param {THREE.Group} group - The costume group created by createCostumeGroup().
+ * @param {THREE.Object3D} base - The group created by createBaseGroup().
+ * @param {(bone:THREE.Bone)=>THREE.Bone} [getBone] - Get the bone that the skinned mesh uses, e.g. a copy for exporting.
+ * @return {Array<{mesh:THREE.Mesh,skinned:THREE.SkinnedMesh}>} The tube meshes and their skinned meshes.
+ */
+export function createSkinnedTubeMeshes(co, group, base, getBone = (b) => b) {
+  const restBones = getRestBones(base);
+
+  return getVisibleTubeMeshesOfCostume(co, group).flatMap(({ mesh, tube }) => {
+    let names = parseBoneNames(tube.bindBones);
+    if (names.length === 0) return [];
+    if (mesh.userData.isMirror) {
+      names = names.map((name) => {
+        const mirrored = getMirroredBoneName(name);
+        return restBones.has(mirrored) ? mirrored : name;
+      });
+    }
+
+    const missing = names.find((name) => !restBones.has(name));
+    if (missing !== undefined) {
+      console.error(`the bone(${missing}) is not found.`);
+      return [];
+    }
+
+    const bones = names.map((name) => getBone(restBones.get(name).bone));
+    const matrices = names.map((name) => restBones.get(name).matrix);
+    const points = names.map((name) => getBonePoint(restBones, name));
+
+    return [
+      { mesh, skinned: createSkinnedTubeMesh(mesh, bones, matrices, points) },
+    ];
+  });
+}
+
+/**
+ * Copy the bones of the base model for exporting.
+ * The copied roots have the world transforms of the originals, so they can be added to the scene directly.
+ *
+ * @param {THREE.Object3D} base - The group created by createBaseGroup().
+ * @return {{roots:Array<THREE.Bone>,bones:Map<THREE.Bone,THREE.Bone>}} The copied roots and the copies by the originals.
+ */
+export function cloneBones(base) {
+  const bones = new Map();
+  const roots = [];
+
+  base.updateWorldMatrix(true, true);
+  base.traverse((o) => {
+    if (!o.isBone || o.parent?.isBone) return;
+    const root = cloneBone(o, bones);
+    root.matrix.multiplyMatrices(o.parent.matrixWorld, o.matrix);
+    root.matrix.decompose(root.position, root.quaternion, root.scale);
+    roots.push(root);
+  });
+
+  return { roots, bones };
+}
+
+/**
+ * Create the group of the posed tubes for previewing.
+ *
+ * @return {THREE.Group}
+ */
+export function createSkinPreview() {
+  const preview = new THREE.Group();
+  preview.visible = false;
+  return preview;
+}
+
+/**
+ * Recreate the posed tubes. They follow the bones of the base model until the next update.
+ *
+ * @param {THREE.Group} preview - The group created by createSkinPreview().
+ * @param {Costume} co
+ * @param {THREE.Group} group - The costume group created by createCostumeGroup().
+ * @param {THREE.Object3D} base - The group created by createBaseGroup().
+ */
+export function updateSkinPreview(preview, co, group, base) {
+  disposeRecursively(preview);
+  preview.clear();
+  if (!preview.visible) return;
+
+  createSkinnedTubeMeshes(co, group, base).forEach(({ skinned }) => {
+    preview.add(skinned);
+  });
+}
+
+/**
+ * @param {GUI} gui
+ * @param {THREE.Group} preview - The group created by createSkinPreview().
+ * @param {()=>void} updateCallback - The callback that is invoked when the preview is shown.
+ */
+export function setSkinGUI(gui, preview, updateCallback) {
+  const folder = gui.addFolder("Skin").close();
+  folder
+    .add(preview, "visible")
+    .name("preview (posed)")
+    .onChange(updateCallback);
+}
+
+/**
+ * Create the skinned mesh whose geometry is in world coordinates, since glTF ignores the transforms of skinned meshes.
+ *
+ * @param {THREE.Mesh} mesh - The tube mesh or its mirrored twin.
+ * @param {Array<THREE.Bone>} bones
+ * @param {Array<THREE.Matrix4>} matrices - The matrices of the bones in the rest pose in world coordinates.
+ * @param {Array<THREE.Vector3>} points - The points of the bones along the tube in world coordinates. See getBonePoint().
+ * @return {THREE.SkinnedMesh}
+ */
+function createSkinnedTubeMesh(mesh, bones, matrices, points) {
+  const parameters = mesh.geometry.parameters;
+
+  mesh.updateWorldMatrix(true, false);
+  const geometry = new THREE.BufferGeometry().copy(mesh.geometry);
+  geometry.applyMatrix4(mesh.matrixWorld);
+  const us = points.map((v) => getNearestU(geometry, parameters, v));
+  setSkinAttributes(geometry, parameters, us);
+
+  const skinned = new THREE.SkinnedMesh(geometry, mesh.material);
+  const inverses = matrices.map((m) => m.clone().invert());
+  skinned.bind(new THREE.Skeleton(bones, inverses), new THREE.Matrix4());
+  skinned.frustumCulled = false; // The bounding sphere doesn't follow the pose.
+
+  return skinned;
+}
+
+/**
+ * Get the point of the bone along the tube: the middle of the bone if it has a child bone, otherwise the head.
+ * The vertices around the point follow the bone entirely, and the ones between two points are blended.
+ *
+ * @param {Map<string,{bone:THREE.Bone,matrix:THREE.Matrix4}>} restBones - The result of getRestBones().
+ * @param {string} name
+ * @return {THREE.Vector3}
+ */
+function getBonePoint(restBones, name) {
+  const { bone, matrix } = restBones.get(name);
+  const point = new THREE.Vector3().setFromMatrixPosition(matrix);
+
+  const child = bone.children.find((c) => c.isBone && restBones.has(c.name));
+  if (!child) return point;
+
+  const childMatrix = restBones.get(child.name).matrix;
+  return point.lerp(
+    new THREE.Vector3().setFromMatrixPosition(childMatrix),
+    0.5
+  );
+}
+
+/**
+ * @param {string} name
+ * @return {string} The name of the bone on the other side, or the name itself if it has no side.
+ */
+function getMirroredBoneName(name) {
+  return name.replace(/Left|Right|left|right|_L_|_R_|\.L$|\.R$/, (m) => {
+    return sideWords[m];
+  });
+}
+
+/**
+ * @param {THREE.Bone} bone
+ * @param {Map<THREE.Bone,THREE.Bone>} bones - The copies by the originals.
+ * @return {THREE.Bone}
+ */
+function cloneBone(bone, bones) {
+  const copy = bone.clone(false);
+  bones.set(bone, copy);
+  bone.children
+    .filter((c) => c.isBone)
+    .forEach((c) => copy.add(cloneBone(c, bones)));
+  return copy;
+}
@@ -0,0 +1,64 @@
+import * as THREE from "three";
+
+import { GUI } from "lil-gui";
+import { Tube } from "../curve/tube.js";
+import { closestPointOnMesh } from "../math/mesh.js";
+import { isInvalidIndex } from "../math/utils.js";
+
+/**
+ * Move the control points of the axis of the tube onto the surface of the body plus the offset.
+ * The handles keep their shapes relative to the middle points.
+ * The curve and the tube are updated once after moving all the control points.
+ *
+ * @param {Tube} tube
+ * @param {Array<THREE.Mesh>} bodies - The meshes of the base model.
+ * @param {Array<number>} indices - The indices of axis.cps to snap.
+ * @param {number} offset - The clearance along the surface normal.
+ */
+export function snapToBody(tube, bodies, indices, offset) {
+  const axis = tube.parameters.axis;
+  indices.forEach((i) => {
+    if (isInvalidIndex(i, 0, axis.cps.length - 1)) return;
+    const cp = axis.cps[i];
+
+    const closest = bodies
+      .map((body) => closestPointOnMesh(body, cp.middlePos))
+      .filter((v) => v)
+      .reduce((a, b) => (a && a.distance <= b.distance ? a : b), null);
+    if (!closest) return;
+    cp.middlePos.copy(closest.point).addScaledVector(closest.normal, offset);
+    cp.updateFrom.middlePos();
+  });
+
+  axis.updateCurves(); // The automatic handles follow the middle points.
+  // These functions are set in advance using createCostumeGroup() in ./src/object-3d/group/costume.js.
+  axis.cps.forEach((cp) => cp._updateGeometry());
+  axis._updateGeometry();
+  tube._updateGeometry();
+}
+
+/**
+ * Parse the indices of the control points, e.g. "0, 2, 3".
+ * An empty text means all control points.
+ *
+ * @param {string} text
+ * @param {number} length - The number of the control points.
+ * @returns {Array<number>}
+ */
+export function parseIndices(text, length) {
+  if (text.trim() === "") return [...Array(length).keys()];
+
+  return text.split(",").map((v) => Number(v.trim()));
+}
+
+/**
+ * @param {GUI} gui
+ * @param {()=>void} snapCallback - The callback that is invoked by "snapToBody".
+ * @param {{offset:number,cps:string}} settings - The snap settings. "cps" is the text for parseIndices().
+ */
+export function setSnapGUI(gui, snapCallback, settings) {
+  const folder = gui.addFolder("Snap").close();
+  folder.add({ snapToBody: snapCallback }, "snapToBody");
+  folder.add(settings, "offset").step(0.001);
+  folder.add(settings, "cps").name("axis cps (empty: all)");
+}
@@ -0,0 +1,150 @@
+import { stringifyDesign, parseDesign } from "./design.js";
+
+const storageKey = "costume-design:autosave";
+const undoListKey = "costume-design:autosave:undos";
+const undoKeyPrefix = "costume-design:autosave:undo:";
+
+/**
+ * The max number of undos saved with the design.
+ */
+const maxStoredUndos = 50;
+
+/**
+ * The ids of the undos already saved in localStorage.
+ * Each undo is written only once, since the undo stack is kept in memory and its items are not changed.
+ *
+ * @type {WeakMap<Object,string>}
+ */
+const undoIds = new WeakMap();
+
+let undoCount = 0;
+
+/**
+ * Save the design to localStorage as compact JSON.
+ * Only the undos that are not saved yet are written, and the ones no longer in the stack are removed.
+ * If the storage is full, the oldest undos are removed to make room.
+ *
+ * @param {{c:Object,gui:Object,closed:Object,materials:Object}} obj
+ * @param {Array<Object>} [undos=[]] - The undo stack to save with the design.
+ */
+export function saveToStorage(obj, undos = []) {
+  const recent = undos.slice(-maxStoredUndos);
+  const stored = new Set(loadUndoIds());
+  const recentIds = recent.map((undo) => undoIds.get(undo));
+  stored.forEach((id) => {
+    if (!recentIds.includes(id)) removeUndo(id, stored);
+  });
+
+  let oldest = 0;
+  const dropOldest = () => {
+    if (oldest >= recent.length) return false;
+    removeUndo(undoIds.get(recent[oldest++]), stored);
+    return true;
+  };
+
+  while (!setItem(storageKey, stringifyDesign(obj, true))) {
+    if (dropOldest()) continue;
+    console.error("the design can't be saved to localStorage.");
+    return;
+  }
+  // From the newest one, so that the older ones are dropped if the storage is full.
+  for (let i = recent.length - 1; i >= oldest; i--) {
+    while (!saveUndo(recent[i], stored)) {
+      if (i === oldest || !dropOldest()) {
+        oldest = i + 1;
+        break;
+      }
+    }
+  }
+
+  const ids = recent.slice(oldest).map((undo) => undoIds.get(undo));
+  setItem(undoListKey, JSON.stringify(ids));
+}
+
+/**
+ * Load the design saved by saveToStorage().
+ *
+ * @returns {?Object} designObj with "undos", or null if nothing is saved or it is broken.
+ */
+export function loadFromStorage() {
+  const text = localStorage.getItem(storageKey);
+  if (!text) return null;
+
+  try {
+    const obj = parseDesign(text);
+    obj.undos = loadUndos();
+    return obj;
+  } catch (error) {
+    console.error(error);
+    return null;
+  }
+}
+
+/**
+ * @param {Object} undo
+ * @param {Set<string>} stored - The ids of the undos in localStorage.
+ * @returns {boolean} Whether the undo is saved. false if the storage is full.
+ */
+function saveUndo(undo, stored) {
+  const id = undoIds.get(undo) ?? `${Date.now().toString(36)}-${undoCount++}`;
+  if (stored.has(id)) return true;
+
+  if (!setItem(undoKeyPrefix + id, JSON.stringify(undo))) return false;
+  undoIds.set(undo, id);
+  stored.add(id);
+  return true;
+}
+
+/**
+ * @param {string} [id]
+ * @param {Set<string>} stored - The ids of the undos in localStorage.
+ */
+function removeUndo(id, stored) {
+  if (id === undefined) return;
+  localStorage.removeItem(undoKeyPrefix + id);
+  stored.delete(id);
+}
+
+/**
+ * @param {string} key
+ * @param {string} value
+ * @returns {boolean} Whether the value is saved. false if the storage is full.
+ */
+function setItem(key, value) {
+  try {
+    localStorage.setItem(key, value);
+    return true;
+  } catch (error) {
+    return false; // QuotaExceededError
+  }
+}
+
+/**
+ * @returns {Array<Object>} The undos saved by saveToStorage(). The broken ones are skipped.
+ */
+function loadUndos() {
+  return loadUndoIds().flatMap((id) => {
+    try {
+      const undo = JSON.parse(localStorage.getItem(undoKeyPrefix + id));
+      if (typeof undo !== "object" || undo === null) return [];
+      undoIds.set(undo, id); // It is already saved.
+      return [undo];
+    } catch (error) {
+      console.error(error);
+      return [];
+    }
+  });
+}
+
+/**
+ * @returns {Array<string>} The ids of the undos saved by saveToStorage().
+ */
+function loadUndoIds() {
+  try {
+    const ids = JSON.parse(localStorage.getItem(undoListKey));
+    return Array.isArray(ids) ? ids : [];
+  } catch (error) {
+    console.error(error);
+    return [];
+  }
+}
@@ -0,0 +1,216 @@
+import * as THREE from "three";
+
+import { TransformControls } from "three/addons/controls/TransformControls.js";
+import { OrbitControls } from "three/addons/controls/OrbitControls.js";
+import { ControlPoint3 } from "../curve/control-point-3.js";
+import { ControlPoint2 } from "../curve/control-point-2.js";
+import { getMirrorMatrix } from "../geometry/mirror.js";
+
+const keys = ["leftPos", "middlePos", "rightPos"]; // The order of cp.getPoints().
+
+/**
+ * The functions called by updateTransformControls(). They are set by createTransformControls().
+ *
+ * @type {WeakMap<TransformControls,()=>void>}
+ */
+const updates = new WeakMap();
+
+/**
+ * Create TransformControls to drag the control points in the viewport.
+ * Click a point of THREE.Points created by createControlPointGroup() in the selected part to attach it.
+ * Only the selected part can be edited, since its GUI updates the geometry (see cp._updateFromKey).
+ * Press Escape, click on empty space or select another part to detach it.
+ * Alt-click a line created by createCurveGroup() in the selected part to insert a cp there (see Curve.insertCpAt()).
+ * It does nothing in the interpolations that can't keep the shape (see Curve.canInsertCp).
+ * The cps and the line of the mirrored twin edit the axis of the tube (see userData.mirror in ./src/object-3d/group/tube.js).
+ *
+ * @param {THREE.Camera} camera
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {OrbitControls} controls
+ * @param {THREE.Scene} scene
+ * @param {()=>?THREE.Object3D} getSelectedGroup - Get the group of the selected part.
+ * @param {()=>void} finishCallback - The callback that is invoked after dragging.
+ * @return {TransformControls}
+ */
+export function createTransformControls(
+  camera,
+  renderer,
+  controls,
+  scene,
+  getSelectedGroup = () => null,
+  finishCallback = () => {}
+) {
+  const transformControls = new TransformControls(camera, renderer.domElement);
+  transformControls.setSize(0.5);
+  scene.add(transformControls.getHelper());
+
+  const target = new THREE.Object3D();
+  scene.add(target);
+
+  const raycaster = new THREE.Raycaster();
+  raycaster.params.Points.threshold = 0.05;
+  raycaster.params.Line.threshold = 0.05;
+  const pointer = new THREE.Vector2();
+  const downPos = new THREE.Vector2();
+
+  /**
+   * The matrix maps the cp to the target, e.g. a mirror matrix for the cps of the mirrored twin.
+   *
+   * @type {?{cp: ControlPoint3|ControlPoint2, key: string, matrix: THREE.Matrix4}}
+   */
+  let picked = null;
+  /** @type {?THREE.Object3D} */
+  let selectedGroup = null;
+
+  transformControls.addEventListener("dragging-changed", (e) => {
+    controls.enabled = !e.value;
+    if (!e.value) finishCallback();
+  });
+  transformControls.addEventListener("objectChange", () => {
+    if (!picked) return;
+    if (!isSelected(picked.cp)) {
+      detach(); // The cps have been replaced, e.g. by a preset.
+      return;
+    }
+    const { cp, key, matrix } = picked;
+    const position = target.position.clone().applyMatrix4(matrix); // The matrix is its own inverse.
+    cp[key].x = position.x;
+    cp[key].y = position.y;
+    if (cp instanceof ControlPoint3) cp[key].z = position.z;
+    cp._updateFromKey(key); // Set it in advance using setGUI() in ./src/curve/control-point-{3,2}.js.
+  });
+
+  renderer.domElement.addEventListener("pointerdown", (e) => {
+    downPos.set(e.clientX, e.clientY);
+  });
+  renderer.domElement.addEventListener("pointerup", (e) => {
+    if (transformControls.dragging || transformControls.axis !== null) return;
+    if (downPos.distanceTo(new THREE.Vector2(e.clientX, e.clientY)) > 2) return; // Orbiting.
+    e.altKey ? insertCp(e) : pick(e);
+  });
+  window.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") detach();
+  });
+
+  /**
+   * @param {PointerEvent} e
+   */
+  function pick(e) {
+    setRaycaster(e);
+
+    const points = getVisibleObjects(
+      (o) => o.isPoints && o.parent?.userData.cp
+    );
+    const intersect = raycaster.intersectObjects(points, false)[0];
+    if (!intersect) {
+      detach();
+      return;
+    }
+
+    const { cp, mirror } = intersect.object.parent.userData;
+    picked = {
+      cp: mirror?.cp ?? cp,
+      key: keys[intersect.index],
+      matrix: mirror ? getMirrorMatrix(mirror.plane) : new THREE.Matrix4(),
+    };
+    updateTarget();
+    transformControls.showZ = cp instanceof ControlPoint3;
+    transformControls.attach(target);
+  }
+
+  /**
+   * @param {PointerEvent} e
+   */
+  function insertCp(e) {
+    setRaycaster(e);
+
+    const lines = getVisibleObjects((o) => o.isLine && o.userData.c);
+    const intersect = raycaster.intersectObjects(lines, false)[0];
+    if (!intersect) return;
+
+    const { c, mirror } = intersect.object.userData;
+    const position = intersect.object.worldToLocal(intersect.point.clone());
+    const t = c.getNearestT(
+      c.cpClass === ControlPoint3
+        ? position
+        : new THREE.Vector2(position.x, position.y)
+    );
+    const source = mirror?.c ?? c; // The mirrored curve has the same t as the axis.
+    if (source.insertCpAt(t) === -1) return;
+    detach();
+    source._updateFromCpsLength(); // Set it in advance using setGUI() in ./src/curve/curve.js.
+    finishCallback();
+  }
+
+  /**
+   * @param {PointerEvent} e
+   */
+  function setRaycaster(e) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    pointer.x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
+    pointer.y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
+    raycaster.setFromCamera(pointer, camera);
+  }
+
+  /**
+   * @param {(o:THREE.Object3D)=>boolean} filter
+   * @returns {Array<THREE.Object3D>} The visible objects in the group of the selected part.
+   */
+  function getVisibleObjects(filter) {
+    const group = getSelectedGroup();
+    for (let o = group; o; o = o.parent) {
+      if (!o.visible) return [];
+    }
+
+    const objects = [];
+    group?.traverseVisible((o) => {
+      if (filter(o)) objects.push(o);
+    });
+    return objects;
+  }
+
+  /**
+   * @param {ControlPoint3|ControlPoint2} cp
+   * @returns {boolean} Whether the cp belongs to the selected part.
+   */
+  function isSelected(cp) {
+    let found = false;
+    getSelectedGroup()?.traverse((o) => {
+      if (o.userData.cp === cp) found = true;
+    });
+    return found;
+  }
+
+  function updateTarget() {
+    const { cp, key, matrix } = picked;
+    target.position.set(cp[key].x, cp[key].y, cp[key].z ?? 0);
+    target.position.applyMatrix4(matrix);
+  }
+
+  function detach() {
+    picked = null;
+    transformControls.detach();
+  }
+
+  updates.set(transformControls, () => {
+    const group = getSelectedGroup();
+    if (group !== selectedGroup) detach(); // The selected part has been changed.
+    if (picked && !isSelected(picked.cp)) detach(); // The cps have been replaced, e.g. by a preset.
+    selectedGroup = group;
+
+    // Follow the picked point, since it may be edited in the GUI.
+    if (!picked || transformControls.dragging) return;
+    updateTarget();
+  });
+
+  return transformControls;
+}
+
+/**
+ * Detach the control points when the selected part is changed, and move the gizmo to the picked point. Call it every frame.
+ *
+ * @param {TransformControls} transformControls - Created by createTransformControls().
+ */
+export function updateTransformControls(transformControls) {
+  updates.get(transformControls)?.();
+}
@@ -41,10 +41,92 @@ export function createMaterials(gui) {
     ),
   };
 
+  const collisionFolder = folder.addFolder("collision").close();
+  const collision = {
+    points: createPointsMaterial(collisionFolder, "points", 0xff0000),
+  };
+  collision.points.depthTest = false; // Show the points inside the body.
+
   return {
     base,
     cp,
     curve,
     tube,
+    collision,
   };
 }
+
+/**
+ * materialsObj = {
+ *   [k1]: {
+ *     [k2]: {
+ *       color?: [r, g, b],
+ *       opacity?: number,
+ *       size?: number,
+ *       wireframe?: boolean,
+ *       uniforms?: {
+ *         [name]: number|boolean|Array<number>
+ *       }
+ *     }
+ *   }
+ * }
+ */
+
+/**
+ * @param {{[k1:string]:{[k2:string]:THREE.Material}}} ms - The materials.
+ * @returns {Object} materialsObj
+ */
+export function saveMaterials(ms) {
+  return mapMaterials(ms, (m) => {
+    const data = {};
+    if (m.color) data.color = m.color.toArray();
+    ["opacity", "size", "wireframe"]
+      .filter((k) => k in m)
+      .forEach((k) => (data[k] = m[k]));
+    if (m.uniforms) {
+      data.uniforms = {};
+      Object.entries(m.uniforms).forEach(([k, u]) => {
+        data.uniforms[k] = u.value.toArray ? u.value.toArray() : u.value;
+      });
+    }
+    return data;
+  });
+}
+
+/**
+ * @param {{[k1:string]:{[k2:string]:THREE.Material}}} ms - The materials.
+ * @param {Object} materialsObj
+ */
+export function loadMaterials(ms, materialsObj) {
+  mapMaterials(ms, (m, k1, k2) => {
+    const data = materialsObj[k1]?.[k2];
+    if (!data) return;
+    if (data.color) m.color.fromArray(data.color);
+    ["opacity", "size", "wireframe"]
+      .filter((k) => k in data)
+      .forEach((k) => (m[k] = data[k]));
+    Object.entries(data.uniforms ?? {}).forEach(([k, v]) => {
+      const u = m.uniforms[k];
+      if (!u) return;
+      u.value.fromArray ? u.value.fromArray(v) : (u.value = v);
+    });
+  });
+}
+
+/**
+ * Map each material with keeping the structure of the materials.
+ *
+ * @param {{[k1:string]:{[k2:string]:THREE.Material}}} ms - The materials.
+ * @param {(m:THREE.Material,k1:string,k2:string)=>any} fn
+ * @returns {{[k1:string]:{[k2:string]:any}}}
+ */
+function mapMaterials(ms, fn) {
+  return Object.fromEntries(
+    Object.entries(ms).map(([k1, o]) => [
+      k1,
+      Object.fromEntries(
+        Object.entries(o).map(([k2, m]) => [k2, fn(m, k1, k2)])
+      ),
+    ])
+  );
+}
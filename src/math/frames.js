@@ -0,0 +1,146 @@
+import * as THREE from "three";
+
+/**
+ * Compute the frames along the curve.
+ * The results have the same form as THREE.Curve.computeFrenetFrames().
+ *
+ * - "frenet": THREE.Curve.computeFrenetFrames().
+ * - "rmf": Rotation-minimizing frames by the double reflection method.
+ * - "up": The binormals are as close to the up vector as possible.
+ *
+ * @param {THREE.Curve<THREE.Vector3>} curve
+ * @param {number} segments
+ * @param {boolean} closed - Whether the curve is closed.
+ * @param {"frenet"|"rmf"|"up"} [mode="frenet"]
+ * @param {THREE.Vector3} [upVector] - The up vector used in "up" mode.
+ * @returns {{tangents:Array<THREE.Vector3>,normals:Array<THREE.Vector3>,binormals:Array<THREE.Vector3>}}
+ */
+export function computeFrames(
+  curve,
+  segments,
+  closed,
+  mode = "frenet",
+  upVector = new THREE.Vector3(0, 1, 0)
+) {
+  switch (mode) {
+    case "rmf":
+      return computeRotationMinimizingFrames(curve, segments, closed);
+    case "up":
+      return computeUpVectorFrames(curve, segments, upVector);
+    default:
+      return curve.computeFrenetFrames(segments, closed);
+  }
+}
+
+/**
+ * Compute rotation-minimizing frames by the double reflection method.
+ * See "Computation of Rotation Minimizing Frames" (Wang et al. 2008).
+ *
+ * @param {THREE.Curve<THREE.Vector3>} curve
+ * @param {number} segments
+ * @param {boolean} closed - Whether to distribute the twist at the seam along the curve.
+ * @returns {{tangents:Array<THREE.Vector3>,normals:Array<THREE.Vector3>,binormals:Array<THREE.Vector3>}}
+ */
+export function computeRotationMinimizingFrames(curve, segments, closed) {
+  // The first frame is the same as computeFrenetFrames().
+  const { tangents, normals, binormals } = curve.computeFrenetFrames(
+    segments,
+    false
+  );
+
+  const points = [];
+  for (let i = 0; i <= segments; i++) {
+    points.push(curve.getPointAt(i / segments));
+  }
+
+  const v1 = new THREE.Vector3();
+  const v2 = new THREE.Vector3();
+  const rL = new THREE.Vector3();
+  const tL = new THREE.Vector3();
+
+  for (let i = 0; i < segments; i++) {
+    // Reflect the frame by the plane bisecting points[i] and points[i+1].
+    v1.subVectors(points[i + 1], points[i]);
+    const c1 = v1.dot(v1);
+    if (c1 === 0) {
+      normals[i + 1].copy(normals[i]);
+    } else {
+      rL.copy(normals[i]).addScaledVector(v1, (-2 / c1) * v1.dot(normals[i]));
+      tL.copy(tangents[i]).addScaledVector(v1, (-2 / c1) * v1.dot(tangents[i]));
+
+      // Reflect it again so that the tangent matches tangents[i+1].
+      v2.subVectors(tangents[i + 1], tL);
+      const c2 = v2.dot(v2);
+      normals[i + 1]
+        .copy(rL)
+        .addScaledVector(v2, c2 === 0 ? 0 : (-2 / c2) * v2.dot(rL));
+    }
+    normals[i + 1].normalize();
+    binormals[i + 1].crossVectors(tangents[i + 1], normals[i + 1]);
+  }
+
+  if (closed) distributeTwist(tangents, normals, binormals, segments);
+
+  return { tangents, normals, binormals };
+}
+
+/**
+ * Compute the frames whose binormals are as close to the up vector as possible.
+ * Where the tangent is parallel to the up vector, the previous frame is kept.
+ *
+ * @param {THREE.Curve<THREE.Vector3>} curve
+ * @param {number} segments
+ * @param {THREE.Vector3} upVector
+ * @returns {{tangents:Array<THREE.Vector3>,normals:Array<THREE.Vector3>,binormals:Array<THREE.Vector3>}}
+ */
+export function computeUpVectorFrames(curve, segments, upVector) {
+  // The frames of computeFrenetFrames() are used where the up vector can't be used.
+  const { tangents, normals, binormals } = curve.computeFrenetFrames(
+    segments,
+    false
+  );
+
+  const up = upVector.clone().normalize();
+  const b = new THREE.Vector3();
+
+  for (let i = 0; i <= segments; i++) {
+    const T = tangents[i];
+    b.copy(up).addScaledVector(T, -up.dot(T));
+    if (b.lengthSq() < 1e-12) {
+      if (i === 0) continue;
+      b.copy(binormals[i - 1]).addScaledVector(T, -binormals[i - 1].dot(T));
+      if (b.lengthSq() < 1e-12) b.copy(binormals[i]);
+    }
+    binormals[i].copy(b).normalize();
+    normals[i].crossVectors(binormals[i], T);
+  }
+
+  return { tangents, normals, binormals };
+}
+
+/**
+ * Rotate the frames gradually so that the last normal matches the first normal.
+ * This is the same as computeFrenetFrames() with closed = true.
+ *
+ * @param {Array<THREE.Vector3>} tangents
+ * @param {Array<THREE.Vector3>} normals
+ * @param {Array<THREE.Vector3>} binormals
+ * @param {number} segments
+ */
+function distributeTwist(tangents, normals, binormals, segments) {
+  let theta = Math.acos(
+    THREE.MathUtils.clamp(normals[0].dot(normals[segments]), -1, 1)
+  );
+  theta /= segments;
+
+  const vec = new THREE.Vector3();
+  if (tangents[0].dot(vec.crossVectors(normals[0], normals[segments])) > 0) {
+    theta = -theta;
+  }
+
+  const mat = new THREE.Matrix4();
+  for (let i = 1; i <= segments; i++) {
+    normals[i].applyMatrix4(mat.makeRotationAxis(tangents[i], theta * i));
+    binormals[i].crossVectors(tangents[i], normals[i]);
+  }
+}
@@ -0,0 +1,192 @@
+import * as THREE from "three";
+
+/**
+ * Find the closest point on the surface of the mesh by checking every triangle.
+ * The normal is interpolated from the vertex normals if the geometry has them.
+ * A skinned mesh is checked in the current pose with the face normals.
+ *
+ * @param {THREE.Mesh} mesh
+ * @param {THREE.Vector3} point - The query point in world coordinates.
+ * @returns {?{point:THREE.Vector3,normal:THREE.Vector3,distance:number}} The result in world coordinates, or null if the mesh has no triangles.
+ */
+export function closestPointOnMesh(mesh, point) {
+  const geometry = mesh.geometry;
+  const position = geometry.getAttribute("position");
+  const normal = geometry.getAttribute("normal");
+  const index = geometry.getIndex();
+  const count = index ? index.count : position.count;
+  if (count < 3) return null;
+
+  mesh.updateMatrixWorld();
+  const localPoint = point
+    .clone()
+    .applyMatrix4(mesh.matrixWorld.clone().invert());
+
+  const triangle = new THREE.Triangle();
+  const closest = new THREE.Vector3();
+  const box = new THREE.Box3();
+  let best = null;
+  let bestDistanceSq = Infinity;
+
+  for (let i = 0; i < count; i += 3) {
+    const a = index ? index.getX(i) : i;
+    const b = index ? index.getX(i + 1) : i + 1;
+    const c = index ? index.getX(i + 2) : i + 2;
+    setTriangle(mesh, a, b, c, triangle);
+
+    // Skip the triangles that can't be closer than the best one.
+    box.setFromPoints([triangle.a, triangle.b, triangle.c]);
+    if (box.distanceToPoint(localPoint) ** 2 >= bestDistanceSq) continue;
+
+    triangle.closestPointToPoint(localPoint, closest);
+    const distanceSq = closest.distanceToSquared(localPoint);
+    if (distanceSq < bestDistanceSq) {
+      bestDistanceSq = distanceSq;
+      best = { point: closest.clone(), a, b, c, triangle: triangle.clone() };
+    }
+  }
+
+  const result = { point: best.point, normal: new THREE.Vector3() };
+  const barycoord = best.triangle.getBarycoord(best.point, new THREE.Vector3());
+  if (normal && barycoord && !mesh.isSkinnedMesh) {
+    const { a, b, c } = best;
+    THREE.Triangle.getInterpolatedAttribute(
+      normal,
+      a,
+      b,
+      c,
+      barycoord,
+      result.normal
+    );
+  }
+  if (result.normal.lengthSq() === 0) {
+    best.triangle.getNormal(result.normal);
+  }
+
+  result.point.applyMatrix4(mesh.matrixWorld);
+  result.normal
+    .applyMatrix3(new THREE.Matrix3().getNormalMatrix(mesh.matrixWorld))
+    .normalize();
+  result.distance = result.point.distanceTo(point);
+
+  return result;
+}
+
+/**
+ * Create a function that tests whether a point is inside the closed mesh.
+ * It counts the intersections of a ray from the point with the triangles (even-odd rule).
+ * The triangles are put into a uniform grid on the plane perpendicular to the ray,
+ * so that only the triangles in the cell of the point are intersected.
+ * A skinned mesh is tested in the current pose, so create the test again after posing or moving the mesh.
+ *
+ * @param {THREE.Mesh} mesh
+ * @returns {(point:THREE.Vector3)=>boolean} The test for points in world coordinates.
+ */
+export function createInsideTest(mesh) {
+  const geometry = mesh.geometry;
+  const position = geometry.getAttribute("position");
+  const index = geometry.getIndex();
+  const count = index ? index.count : position.count;
+
+  mesh.updateMatrixWorld();
+
+  // The triangles in world coordinates.
+  const triangles = [];
+  for (let i = 0; i + 2 < count; i += 3) {
+    const triangle = setTriangle(
+      mesh,
+      index ? index.getX(i) : i,
+      index ? index.getX(i + 1) : i + 1,
+      index ? index.getX(i + 2) : i + 2,
+      new THREE.Triangle()
+    );
+    triangle.a.applyMatrix4(mesh.matrixWorld);
+    triangle.b.applyMatrix4(mesh.matrixWorld);
+    triangle.c.applyMatrix4(mesh.matrixWorld);
+    triangles.push(triangle);
+  }
+  const box = new THREE.Box3();
+  triangles.forEach((v) =>
+    box.expandByPoint(v.a).expandByPoint(v.b).expandByPoint(v.c)
+  );
+
+  // A skewed direction to avoid hitting the edges of axis-aligned triangles.
+  const ray = new THREE.Ray(
+    new THREE.Vector3(),
+    new THREE.Vector3(0.5377, 0.8231, 0.1823).normalize()
+  );
+  const target = new THREE.Vector3();
+
+  // The axes of the plane perpendicular to the ray.
+  const axisU = new THREE.Vector3(0, 0, 1).cross(ray.direction).normalize();
+  const axisV = ray.direction.clone().cross(axisU);
+  const project = (p) => [p.dot(axisU), p.dot(axisV), p.dot(ray.direction)];
+
+  // The bounds of each triangle: [minU, maxU, minV, maxV, maxDepth].
+  const bounds = triangles.map(({ a, b, c }) => {
+    const [pa, pb, pc] = [a, b, c].map(project);
+    return [0, 1, 2].flatMap((k) =>
+      k < 2
+        ? [Math.min(pa[k], pb[k], pc[k]), Math.max(pa[k], pb[k], pc[k])]
+        : [Math.max(pa[k], pb[k], pc[k])]
+    );
+  });
+  const min = [Infinity, Infinity];
+  const max = [-Infinity, -Infinity];
+  bounds.forEach((b) => {
+    [0, 1].forEach((k) => {
+      min[k] = Math.min(min[k], b[k * 2]);
+      max[k] = Math.max(max[k], b[k * 2 + 1]);
+    });
+  });
+
+  const size = Math.max(Math.ceil(Math.sqrt(triangles.length)), 1);
+  const cellOf = (value, k) =>
+    THREE.MathUtils.clamp(
+      Math.floor(((value - min[k]) / (max[k] - min[k] || 1)) * size),
+      0,
+      size - 1
+    );
+  const cells = Array.from({ length: size * size }, () => []);
+  bounds.forEach((b, i) => {
+    for (let iu = cellOf(b[0], 0); iu <= cellOf(b[1], 0); iu++) {
+      for (let iv = cellOf(b[2], 1); iv <= cellOf(b[3], 1); iv++) {
+        cells[iu * size + iv].push(i);
+      }
+    }
+  });
+
+  return (point) => {
+    if (!box.containsPoint(point)) return false;
+
+    const [u, v, depth] = project(point);
+    if (u < min[0] || u > max[0] || v < min[1] || v > max[1]) return false;
+
+    ray.origin.copy(point);
+    let hits = 0;
+    cells[cellOf(u, 0) * size + cellOf(v, 1)].forEach((i) => {
+      if (bounds[i][4] < depth) return; // Behind the point.
+      const { a, b, c } = triangles[i];
+      if (ray.intersectTriangle(a, b, c, false, target)) hits++;
+    });
+    return hits % 2 === 1;
+  };
+}
+
+/**
+ * Set the triangle of the mesh in local coordinates.
+ * Mesh.getVertexPosition() applies the morph targets and the skinning.
+ *
+ * @param {THREE.Mesh} mesh
+ * @param {number} a
+ * @param {number} b
+ * @param {number} c
+ * @param {THREE.Triangle} target
+ * @returns {THREE.Triangle}
+ */
+function setTriangle(mesh, a, b, c, target) {
+  mesh.getVertexPosition(a, target.a);
+  mesh.getVertexPosition(b, target.b);
+  mesh.getVertexPosition(c, target.c);
+  return target;
+}
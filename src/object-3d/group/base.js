@@ -1,19 +1,49 @@
 import * as THREE from "three";
 
-import { loadBaseGeometry } from "../../geometry/base.js";
-
 /**
- * @param {{[k1:string]:{[k2:string]:THREE.Material}}} ms - The materials.
- * @return {?THREE.Group}
+ * Create the group of the base model.
+ * The group is kept while the model in it is replaced by setBaseModel(),
+ * so that the transform of the group is kept.
+ *
+ * @return {THREE.Group}
  */
-export async function createBaseGroup(ms) {
+export function createBaseGroup() {
   const group = new THREE.Group();
+  group.userData.base = { name: "", url: null, id: null };
+  return group;
+}
 
-  const geometry = await loadBaseGeometry();
-  if (!geometry) return null;
+/**
+ * Replace the model in the base group.
+ * Every mesh of the model is kept and drawn with the base materials.
+ *
+ * @param {THREE.Group} group - The group created by createBaseGroup().
+ * @param {THREE.Object3D} model
+ * @param {{name:string,url:?string,id:?string}} base - The name and the URL of the model. The URL is null for a local file, which has the unique id instead.
+ * @param {{[k1:string]:{[k2:string]:THREE.Material}}} ms - The materials.
+ */
+export function setBaseModel(group, model, base, ms) {
+  group.clear(); // The geometries are not disposed, because the models are cached.
 
-  group.add(new THREE.LineSegments(geometry, ms.base.line));
-  group.add(new THREE.Mesh(geometry, ms.base.toon));
+  getBaseMeshes(model).forEach((mesh) => {
+    mesh.material = ms.base.toon;
+    if (mesh.isSkinnedMesh) return; // The lines can't follow the pose.
+    mesh.add(new THREE.LineSegments(mesh.geometry, ms.base.line));
+  });
+  group.add(model);
+  Object.assign(group.userData.base, base); // Keep the object for the GUI.
+}
 
-  return group;
+/**
+ * Get the meshes of the base model, e.g. for snapping and collision checks.
+ *
+ * @param {THREE.Object3D} object - The group created by createBaseGroup() or the model.
+ * @return {Array<THREE.Mesh>}
+ */
+export function getBaseMeshes(object) {
+  const meshes = [];
+  object.traverse((o) => {
+    if (o.isMesh) meshes.push(o);
+  });
+  return meshes;
 }
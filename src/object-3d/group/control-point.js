@@ -19,5 +19,8 @@ export function createControlPointGroup(cp, ms) {
 
   cp.createGeometry(group);
 
+  // This is used by createTransformControls() in ./src/main/transform-controls.js.
+  group.userData.cp = cp;
+
   return group;
 }
@@ -0,0 +1,70 @@
+import * as THREE from "three";
+
+import { Costume } from "../../curve/costume.js";
+import { Tube } from "../../curve/tube.js";
+import { createCurveGroup } from "./curve.js";
+import {
+  createTubeGroup,
+  setTubeGroupGUI,
+  getVisibleTubeMeshes,
+} from "./tube.js";
+import { disposeRecursively } from "../../main/dispose.js";
+import { GUI } from "lil-gui";
+
+/**
+ * @param {Costume} co
+ * @param {{[k1:string]:{[k2:string]:THREE.Material}}} ms - The materials.
+ * @return {THREE.Group}
+ */
+export function createCostumeGroup(co, ms) {
+  const group = new THREE.Group();
+
+  // This function is used by setGUI() in ./src/curve/costume.js.
+  (co._updateGroup = () => {
+    disposeRecursively(group);
+    group.clear();
+
+    co.parts.forEach(({ c }) => {
+      if (c instanceof Tube) {
+        const g = createTubeGroup(c, ms);
+        g.children.forEach((v, i) => (v.visible = i === 0)); // Show only the tube.
+        group.add(g);
+      } else {
+        group.add(createCurveGroup(c, ms));
+      }
+    });
+  })();
+
+  // This function is used by setGUI() in ./src/curve/costume.js.
+  co._setGroupGUI = (gui) => {
+    Array.from(gui.children)
+      .filter((v) => v._title === "TubeGroup")
+      .forEach((v) => v.destroy());
+    if (co.selected.c instanceof Tube) {
+      setTubeGroupGUI(gui, group.children[co.selectedIndex]);
+    }
+  };
+
+  return group;
+}
+
+/**
+ * Get the visible tube meshes with the part names and the tubes.
+ *
+ * @param {Costume} co
+ * @param {THREE.Group} group - The costume group.
+ * @return {Array<{name:string,mesh:THREE.Mesh,tube:Tube}>}
+ */
+export function getVisibleTubeMeshesOfCostume(co, group) {
+  if (!group.visible) return [];
+
+  return co.parts.flatMap(({ name, c }, i) =>
+    c instanceof Tube
+      ? getVisibleTubeMeshes(group.children[i]).map((mesh) => ({
+          name: mesh.userData.isMirror ? `${name}.mirror` : name,
+          mesh,
+          tube: c,
+        }))
+      : []
+  );
+}
@@ -31,6 +31,9 @@ function createCurvesLine(c, ms) {
 
   c.createGeometry(line);
 
+  // This is used by createTransformControls() in ./src/main/transform-controls.js.
+  line.userData.c = c;
+
   return line;
 }
 
@@ -1,6 +1,7 @@
 import * as THREE from "three";
 
 import { Tube } from "../../curve/tube.js";
+import { Curve3 } from "../../curve/curve-3.js";
 import { createCurveGroup } from "./curve.js";
 import { createEmptyGeometry } from "../../geometry/empty.js";
 import { GUI } from "lil-gui";
@@ -24,6 +25,37 @@ export function createTubeGroup(t, ms) {
   group.add(createCurveGroup(p.xCurvatureC, ms));
   group.add(createCurveGroup(p.yCurvatureC, ms));
   group.add(createCurveGroup(p.tiltC, ms));
+  group.add(createMirroredAxisGroup(t, ms));
+
+  return group;
+}
+
+/**
+ * Create the group of the axis of the mirrored twin. See Tube.updateMirroredAxis().
+ * Its cps and line have userData.mirror, so that they are edited through the axis.
+ *
+ * @param {Tube} t
+ * @param {{[k1:string]:{[k2:string]:THREE.Material}}} ms - The materials.
+ * @return {THREE.Group}
+ */
+function createMirroredAxisGroup(t, ms) {
+  const mirrored = new Curve3();
+  const group = createCurveGroup(mirrored, ms);
+  const [line, cpsGroup] = group.children;
+
+  // This function is used by createGeometry() in ./src/curve/tube.js.
+  (t._updateMirroredAxis = () => {
+    if (t.updateMirroredAxis(mirrored)) mirrored._updateCpsGroup(); // Set it in advance using createCpsGroup() in ./src/object-3d/group/curve.js.
+    mirrored.cps.forEach((cp) => cp._updateGeometry());
+    mirrored._updateGeometry();
+
+    // These are used by createTransformControls() in ./src/main/transform-controls.js.
+    const axis = t.parameters.axis;
+    line.userData.mirror = { c: axis, plane: t.mirrorPlane };
+    cpsGroup.children.forEach((g, i) => {
+      g.userData.mirror = { cp: axis.cps[i], plane: t.mirrorPlane };
+    });
+  })();
 
   return group;
 }
@@ -41,11 +73,30 @@ function createTubeGroupWithNoCurves(t, ms) {
   group.add(new THREE.LineSegments(geometry, ms.tube.line));
   group.add(new THREE.Mesh(geometry, ms.tube.toon));
 
+  // The mirrored twin. See Tube.isMirrored.
+  group.add(new THREE.LineSegments(geometry, ms.tube.line));
+  group.add(new THREE.Mesh(geometry, ms.tube.toon));
+  group.children[3].userData.isMirror = true;
+
   t.createGeometry(group);
 
   return group;
 }
 
+/**
+ * Get the visible meshes of the tube, including the mirrored twin.
+ * The twin has userData.isMirror.
+ *
+ * @param {THREE.Group} group - The tube group.
+ * @return {Array<THREE.Mesh>}
+ */
+export function getVisibleTubeMeshes(group) {
+  const g = group.children[0]; // The group created by createTubeGroupWithNoCurves().
+  if (!group.visible || !g.visible) return [];
+
+  return [g.children[1], g.children[3]].filter((v) => v.visible);
+}
+
 /**
  * @param {GUI} gui
  * @param {THREE.Group} group - The tube group.
@@ -66,6 +117,7 @@ export function setTubeGroupGUI(gui, group) {
     "xCurvatureC",
     "yCurvatureC",
     "tiltC",
+    "mirroredAxis",
   ];
   group.children.forEach((g, i) => {
     if (i !== 0) g.visible = false;